@@ -2,60 +2,62 @@ import fs from 'fs'
 import minimist from 'minimist'
 import path from 'path'
 import R from 'ramda'
-import { type Route } from '~/src/dsl'
-import { type RouteModuleTuple } from '~/src/router'
+import { pathHelpersFlowDeclarations, pathHelpersModule, pathHelpersTypeScriptDeclarations } from '~/src/codegen'
+import { openApiDocument } from '~/src/openapi'
+import { FILTER_OPTIONS, OUTPUT_FORMATS, checkRouter, filterRouter, formatRouter, routeFilter,
+  type OutputFormat } from '~/src/printer'
 
 type ParsedArguments = {
   _: Array<string>,
-  babel?: bool
+  command: Command,
+  babel?: bool,
+  format: OutputFormat,
+  verb?: string,
+  path?: string,
+  controller?: string,
+  alias?: string,
+  grep?: string,
+  title?: string,
+  'api-version'?: string,
+  server?: string | Array<string>,
+  out?: string,
+  types?: bool,
+  static?: bool
 }
 
+type Command = 'print' | 'check' | 'openapi' | 'paths'
+
 export type RouteModule = {
   resolve: () => Router,
   register: (app: express$Application) => Router,
 }
 
-const FIELDS = ['as', 'httpMethod', 'path', 'require', 'handler']
-const FIELD_SEPARATOR_DISTANCE = 4
-const HEADERS = ['Path Helper', 'Verb', 'URI Pattern', 'Controller Module', 'Handler']
+const OPENAPI_OPTIONS = ['title', 'api-version', 'server']
+const OUTPUT_OPTIONS = ['out']
+const ARGUMENT_OPTIONS = {
+  string: R.unnest([['format'], FILTER_OPTIONS, OPENAPI_OPTIONS, OUTPUT_OPTIONS]),
+  boolean: ['types', 'static'],
+  default: {format: 'text'}
+}
 
-const log = R.bind(console.log, console)
+const USAGE = `Usage: flauta [print|check|openapi|paths] [--babel] [--static] [--format text|json|csv|tsv]
+  [--verb <methods>] [--path <pattern>] [--controller <pattern>] [--alias <pattern>] [--grep <regexp>]
+  [--title <title>] [--api-version <version>] [--server <url>] [--out <file>] [--types] <routes file>`
 
-const routeToPrintableProps = ([route: Route, _module: mixed]): Array<string> =>
-  R.props(FIELDS, route)
+const log = R.bind(console.log, console)
 
-const routeToPrintablePropsWithError = ([route: Route, error: Error]): Array<string> =>
-  R.pipe(
-    R.props(R.tail(FIELDS)),
-    R.append(R.prop('message', error))
-  )(route)
-
-const computeMaxFieldSizes = (lines: Array<Array<string>>): [Array<Array<string>>, Array<number>] =>
-  R.pair(
-    lines,
-    R.pipe(
-      R.transpose,
-      R.map(R.reduce((fieldMaximum, field) => R.max(R.length(field || ''), fieldMaximum), 0)),
-    )(lines)
-  )
-
-const printLine = R.curry((sizes: Array<number>, fields: Array<string>): void =>
-  R.pipe(
-    R.zip(sizes),
-    R.map(printField),
-    R.join(''),
-    log
-  )(fields)
-)
+const parseCommand = (argv: ParsedArguments): ParsedArguments | Error => {
+  if (R.length(argv._) < 2) {
+    return R.assoc('command', 'print', argv)
+  }
 
-const printLines = ([lines: Array<Array<string>>, sizes: Array<number>]): void =>
-  R.forEach(printLine(sizes), lines)
+  const [command, ...files] = argv._
+  if (!R.has(command, COMMANDS)) {
+    throw new Error(`Unknown command '${command}', expected one of: ${R.join(', ', R.keys(COMMANDS))}`)
+  }
 
-const printField = R.curry(([size: number, field: string]): void => {
-  const padLength = R.add(FIELD_SEPARATOR_DISTANCE, R.defaultTo(0, size))
-  const padding = R.join('', R.repeat(' ', padLength))
-  return (R.defaultTo('', field) + padding).substring(0, padLength)
-})
+  return R.merge(argv, {command, _: files})
+}
 
 const ensureReadableFile = (argv): ParsedArguments | Error => {
   const file = R.head(argv._)
@@ -77,43 +79,97 @@ const optionallyEnableBabelRegister = (argv: ParsedArguments): ParsedArguments =
   return argv
 }
 
-const printRouter = (routeModule: RouteModule) => {
-  const router: Router = routeModule.resolve()
-  printRoutes(router.routes)
-  printInvalidRoutes(router.invalidRoutes)
+const ensureKnownFormat = (argv: ParsedArguments): ParsedArguments | Error => {
+  if (!R.contains(argv.format, OUTPUT_FORMATS)) {
+    throw new Error(`Unknown format '${argv.format}', expected one of: ${R.join(', ', OUTPUT_FORMATS)}`)
+  }
+
+  return argv
+}
+
+const ensureValidFilters = (argv: ParsedArguments): ParsedArguments => {
+  routeFilter(argv)
+  return argv
+}
+
+const optionallyEnableStaticListing = (argv: ParsedArguments): ParsedArguments => {
+  if (argv.static) {
+    process.env.FLAUTA_LAZY_CONTROLLERS = 'true'
+  }
+
+  return argv
 }
 
-const printRoutes = (routes: Array<RouteModuleTuple>): void =>
-  R.unless(
-    R.isEmpty,
-    R.pipe(
-    R.tap(() => console.log('[Valid Routes]')),
-      R.map(routeToPrintableProps),
-      R.prepend(HEADERS),
-      computeMaxFieldSizes,
-      printLines
-    )
-  )(routes)
-
-const printInvalidRoutes = (invalidRoutes?: Array<?RouteModuleTuple>): void =>
-  R.unless(
-    R.isEmpty,
-    R.pipe(
-      R.tap(() => console.log('[Invalid Routes]')),
-      R.map(routeToPrintablePropsWithError),
-      R.prepend(R.append('Error', R.tail(HEADERS))),
-      computeMaxFieldSizes,
-      printLines
-    )
-  )(R.defaultTo([], invalidRoutes))
-
-const main = () =>
+const printRouter = (argv: ParsedArguments, router: Router): void =>
+  R.unless(R.isEmpty, log, formatRouter(argv.format, router))
+
+const printCheckReport = (argv: ParsedArguments, router: Router): void => {
+  const { report, problems } = checkRouter(router)
+  log(report)
+  process.exitCode = problems === 0 ? 0 : 1
+}
+
+const printOpenApiDocument = (argv: ParsedArguments, router: Router): void =>
+  log(JSON.stringify(openApiDocument(router, R.reject(R.isNil, {
+    title: argv.title,
+    version: argv['api-version'],
+    servers: R.unless(R.isNil, R.pipe(R.unless(Array.isArray, R.of), R.map(R.objOf('url'))), argv.server)
+  })), null, 2))
+
+const writeOutput = (out: ?string, contents: string): void => {
+  if (R.isNil(out)) {
+    process.stdout.write(contents)
+    return
+  }
+
+  fs.writeFileSync(out, contents)
+  log(`Wrote ${out}`)
+}
+
+const writePathHelpersModule = (argv: ParsedArguments, router: Router): void => {
+  if (argv.types && R.isNil(argv.out)) {
+    throw new Error('The --types option requires the --out option to write the declarations next to the module')
+  }
+
+  writeOutput(argv.out, pathHelpersModule(router))
+  if (argv.types) {
+    const declarationsPath = R.replace(/\.m?js$/, '', R.defaultTo('', argv.out))
+    writeOutput(`${declarationsPath}.d.ts`, pathHelpersTypeScriptDeclarations(router))
+    writeOutput(`${R.defaultTo('', argv.out)}.flow`, pathHelpersFlowDeclarations(router))
+  }
+}
+
+const COMMANDS = {
+  print: printRouter,
+  check: printCheckReport,
+  openapi: printOpenApiDocument,
+  paths: writePathHelpersModule
+}
+
+const resolveAndRunCommand = (argv: ParsedArguments): void =>
+  COMMANDS[argv.command](argv, filterRouter(argv, requireRouterFile(argv).resolve()))
+
+const parseArguments = R.pipe(
+  R.partialRight(minimist, [ARGUMENT_OPTIONS]),
+  parseCommand,
+  ensureReadableFile,
+  ensureKnownFormat,
+  ensureValidFilters
+)
+
+const main = () => {
+  const argv = R.tryCatch(parseArguments, R.identity)(process.argv.slice(2))
+  if (argv instanceof Error) {
+    console.error(`${argv.message}\n\n${USAGE}`)
+    process.exitCode = 1
+    return
+  }
+
   R.pipe(
-    minimist,
-    ensureReadableFile,
     optionallyEnableBabelRegister,
-    requireRouterFile,
-    printRouter
-  )(process.argv.slice(2))
+    optionallyEnableStaticListing,
+    resolveAndRunCommand
+  )(argv)
+}
 
 main()
@@ -0,0 +1,378 @@
+/* @flow */
+/** @namespace codegen */
+
+import R from 'ramda'
+import { type Route, type RouteConstraints } from '~/src/dsl/http'
+import { mergeIfPresent } from '~/src/ramda-extensions'
+import { pathParams } from '~/src/matcher'
+import { type Router } from '~/src/router'
+
+/**
+ * @typedef {Object} PathHelperDefinition
+ * @memberof codegen
+ * @property {string} alias - The route alias, i.e. the key of the helper in the router's `paths`.
+ * @property {string} name - The name of the exported helper function.
+ * @property {string} path - The route path.
+ * @property {Array.<string>} properties - The properties required by the route path, in order.
+ * @property {Array.<string>} [optionalProperties] - The properties of the optional groups of the route path, if any.
+ * @property {Array.<string>} [splatProperties] - The properties of the splats of the route path, accepting arrays, if any.
+ * @property {RouteConstraints} [constraints] - The constraints of the path properties, if any.
+ */
+export type PathHelperDefinition = {|
+  alias: string,
+  name: string,
+  path: string,
+  properties: Array<string>,
+  optionalProperties?: Array<string>,
+  splatProperties?: Array<string>,
+  constraints?: RouteConstraints
+|}
+
+const GENERATED_HEADER = '// Generated by flauta from your routes file, do not edit it by hand.'
+
+const PATH_PROPERTY_TYPE = 'PathPropertyValue'
+const QUERY_PROPERTIES = {
+  flow: 'anchor?: string | number, [property: string]: mixed',
+  typescript: 'anchor?: string | number, [property: string]: unknown'
+}
+
+// Standalone port of the router's path helpers (see matcher.parsePath and router.routeModuleTupleToPathBuilder),
+// tested against them with the cases of test/helpers/path-builder-cases.js: change both together.
+const PATH_HELPERS_RUNTIME = `const hasOwnProperty = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+const encodeQueryValue = (value) =>
+  typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && isFinite(value))
+    ? encodeURIComponent(String(value))
+    : ''
+
+const matchConstraint = (constraint, value) =>
+  new RegExp(\`^(?:\${constraint.source})$\`, constraint.flags.replace(/[gy]/g, '')).test(value)
+
+const buildQueryPair = (key, value) =>
+  [].concat(value).map((item) => \`\${encodeURIComponent(key)}=\${encodeQueryValue(item)}\`).join('&')
+
+const parsePath = (routePath) => {
+  const groups = [[]]
+  const closeGroup = () => {
+    const tokens = groups.pop()
+    groups[groups.length - 1].push({ type: 'optional', tokens })
+  }
+
+  ;(routePath.match(/[()]|[:*][-\\w]+|[^():*]+|[:*]/g) || []).forEach((part) => {
+    if (part === '(') {
+      groups.push([])
+    } else if (part === ')' && groups.length > 1) {
+      closeGroup()
+    } else if (/^[:*][-\\w]/.test(part)) {
+      groups[groups.length - 1].push({ type: part[0] === '*' ? 'splat' : 'param', name: part.slice(1) })
+    } else {
+      groups[groups.length - 1].push({ type: 'static', value: part })
+    }
+  })
+  while (groups.length > 1) {
+    closeGroup()
+  }
+
+  return groups[0]
+}
+
+const pathParams = (tokens, optional) => tokens.reduce((params, token) => {
+  if (token.type === 'optional') {
+    return params.concat(pathParams(token.tokens, true))
+  }
+
+  return token.type === 'static' ? params : params.concat([{ name: token.name, optional }])
+}, [])
+
+const pathPropertyValue = (value) => [].concat(value).map(String).join('/')
+
+const encodePathProperty = (token, value) =>
+  token.type === 'splat'
+    ? (Array.isArray(value) ? value.map(String) : String(value).split('/')).map(encodeURIComponent).join('/')
+    : encodeURIComponent(String(value))
+
+const renderPath = (tokens, properties) => tokens.reduce((rendered, token) => {
+  if (rendered === null) {
+    return null
+  } else if (token.type === 'static') {
+    return { path: rendered.path + token.value, substituted: rendered.substituted }
+  } else if (token.type === 'optional') {
+    const optional = renderPath(token.tokens, properties) || { path: '', substituted: [] }
+    return { path: rendered.path + optional.path, substituted: rendered.substituted.concat(optional.substituted) }
+  }
+
+  return hasOwnProperty(properties, token.name)
+    ? { path: rendered.path + encodePathProperty(token, properties[token.name]), substituted: rendered.substituted.concat([token.name]) }
+    : null
+}, { path: '', substituted: [] })
+
+const buildPath = (alias, routePath, properties, constraints) => {
+  const presentProperties = {}
+  Object.keys(properties || {}).forEach((key) => {
+    if (properties[key] !== null && properties[key] !== undefined) {
+      presentProperties[key] = properties[key]
+    }
+  })
+
+  const tokens = parsePath(routePath)
+  const params = pathParams(tokens, false)
+  const pathProperties = {}
+  params.forEach(({ name }) => {
+    if (hasOwnProperty(presentProperties, name) && presentProperties[name] !== '') {
+      pathProperties[name] = presentProperties[name]
+    }
+  })
+
+  const missingProperties = params
+    .filter(({ name, optional }) => !optional && !hasOwnProperty(pathProperties, name))
+    .map(({ name }) => name)
+  if (missingProperties.length > 0) {
+    throw new Error(
+      \`Missing required path \${missingProperties.length > 1 ? 'properties' : 'property'} \` +
+      \`\${missingProperties.map((key) => \`:\${key}\`).join(', ')} for route \${alias} (\${routePath})\`
+    )
+  }
+
+  const invalidProperty = params.map(({ name }) => name).find((key) =>
+    hasOwnProperty(constraints || {}, key) && hasOwnProperty(pathProperties, key) &&
+      !matchConstraint(constraints[key], pathPropertyValue(pathProperties[key]))
+  )
+  if (invalidProperty !== undefined) {
+    throw new Error(
+      \`Invalid path property :\${invalidProperty} for route \${alias} (\${routePath}): \` +
+      \`'\${pathPropertyValue(pathProperties[invalidProperty])}' does not match \${String(constraints[invalidProperty])}\`
+    )
+  }
+
+  const { path, substituted } = renderPath(tokens, pathProperties)
+  const unusedProperties = params
+    .map(({ name }) => name)
+    .filter((key) => !hasOwnProperty(pathProperties, key))
+    .concat(substituted)
+  const query = Object.keys(presentProperties)
+    .filter((key) => key !== 'anchor' && unusedProperties.indexOf(key) === -1)
+    .sort()
+    .map((key) => buildQueryPair(key, presentProperties[key]))
+    .join('&')
+
+  return [
+    path,
+    query === '' ? '' : \`?\${query}\`,
+    hasOwnProperty(presentProperties, 'anchor') ? \`#\${encodeURIComponent(String(presentProperties.anchor))}\` : ''
+  ].join('')
+}`
+
+/**
+ * Lists the path helpers of the valid, aliased routes of a router sorted by alias. Like the router's `paths`,
+ * the last route declaring an alias wins. Throws when distinct aliases convert to the same helper name (see
+ * {@link codegen.pathHelperName}), e.g. `user-posts` and `user_posts`.
+ *
+ * @memberof codegen
+ * @function pathHelperDefinitions
+ * @static
+ * @param {Router} router - The resolved router.
+ * @returns {Array.<PathHelperDefinition>}
+ */
+export const pathHelperDefinitions = (router: Router): Array<PathHelperDefinition> =>
+  R.pipe(
+    R.reject(R.isNil),
+    R.map(R.head),
+    R.filter(R.has('as')),
+    R.indexBy(R.prop('as')),
+    R.values,
+    R.sortBy(R.prop('as')),
+    R.map((route: Route) => {
+      const params = pathParams(route.path)
+      const presentLists = R.reject(R.isEmpty, {
+        optionalProperties: R.pluck('name', R.filter(R.prop('optional'), params)),
+        splatProperties: R.pluck('name', R.filter(R.prop('splat'), params)),
+        constraints: R.pick(R.pluck('name', params), R.defaultTo({}, route.constraints))
+      })
+
+      return mergeIfPresent({
+        alias: R.defaultTo('', route.as),
+        name: pathHelperName(R.defaultTo('', route.as)),
+        path: route.path,
+        properties: R.pluck('name', R.reject(R.prop('optional'), params))
+      }, presentLists)
+    }),
+    ensureUniquePathHelperNames
+  )(router.routes)
+
+/**
+ * Converts a route alias into the name of its exported path helper function.
+ *
+ * @memberof codegen
+ * @function pathHelperName
+ * @static
+ * @param {string} alias - The route alias.
+ * @returns {string} - A camel cased identifier ending in `Path`.
+ * @example
+ *
+ * > pathHelperName('api-v1-user')
+ * 'apiV1UserPath'
+ */
+export const pathHelperName = (alias: string): string =>
+  R.pipe(
+    R.split(/[^a-zA-Z0-9]+/),
+    R.reject(R.isEmpty),
+    R.addIndex(R.map)((word: string, index: number) =>
+      index === 0 ? R.toLower(word) : R.concat(R.toUpper(R.head(word)), R.tail(word))
+    ),
+    R.append('Path'),
+    R.join(''),
+    R.when(R.test(/^\d/), R.concat('_'))
+  )(alias)
+
+/**
+ * Generates the source of a standalone ES module exporting a path helper function per route alias, so
+ * browser code can build the same URL paths as the router's `paths` without requiring any controller or
+ * Node module. The helpers are also exported as the default export, keyed by alias like `paths`, and reject
+ * the path property values not satisfying the route's constraints like `paths` do.
+ *
+ * @memberof codegen
+ * @function pathHelpersModule
+ * @static
+ * @param {Router} router - The resolved router.
+ * @returns {string} - The ES module source.
+ * @example
+ *
+ * > pathHelpersModule(resolve([resources('users', {only: ['show']})]))
+ * // ...
+ * export const userPath = (properties) => buildPath("user", "/users/:id", properties)
+ *
+ * export default {
+ *   "user": userPath
+ * }
+ */
+export const pathHelpersModule = (router: Router): string => {
+  const definitions = pathHelperDefinitions(router)
+  const exportedHelpers = R.map(
+    ({ alias, name, path, constraints }: PathHelperDefinition) =>
+      `export const ${name} = (properties) => ` +
+      `buildPath(${R.join(', ', R.map(JSON.stringify, [alias, path]))}, properties${constraintsLiteral(constraints)})`,
+    definitions
+  )
+  const defaultExport = R.map(
+    ({ alias, name }: PathHelperDefinition) => `  ${JSON.stringify(alias)}: ${name}`,
+    definitions
+  )
+
+  return R.join('\n\n', [
+    GENERATED_HEADER,
+    PATH_HELPERS_RUNTIME,
+    R.join('\n', exportedHelpers),
+    `export default {\n${R.join(',\n', defaultExport)}\n}`
+  ]) + '\n'
+}
+
+/**
+ * Generates the TypeScript declarations (`.d.ts`) of the module generated by {@link pathHelpersModule}.
+ * Each helper's properties list exactly the path properties its route requires, along with the optional
+ * path properties of its optional groups and the anchor and query string properties. Splat properties also
+ * accept arrays.
+ *
+ * @memberof codegen
+ * @function pathHelpersTypeScriptDeclarations
+ * @static
+ * @param {Router} router - The resolved router.
+ * @returns {string} - The declarations source.
+ * @example
+ *
+ * > pathHelpersTypeScriptDeclarations(resolve([resources('users', {only: ['show']})]))
+ * // ...
+ * export declare const userPath: (properties: { id: PathPropertyValue, anchor?: string | number, [property: string]: unknown }) => string
+ *
+ * export interface Paths {
+ *   "user": typeof userPath
+ * }
+ * // ...
+ */
+export const pathHelpersTypeScriptDeclarations = (router: Router): string => {
+  const definitions = pathHelperDefinitions(router)
+
+  return R.join('\n\n', [
+    GENERATED_HEADER,
+    `export type ${PATH_PROPERTY_TYPE} = string | number`,
+    R.join('\n', R.map(
+      (definition: PathHelperDefinition) =>
+        `export declare const ${definition.name}: ${pathHelperSignature(QUERY_PROPERTIES.typescript, definition)}`,
+      definitions
+    )),
+    `export interface Paths {\n${R.join('\n', R.map(pathsTypeProperty, definitions))}\n}`,
+    'declare const paths: Paths\nexport default paths'
+  ]) + '\n'
+}
+
+/**
+ * Generates the Flow declarations (`.js.flow`) of the module generated by {@link pathHelpersModule}.
+ * Each helper's properties list exactly the path properties its route requires, along with the optional
+ * path properties of its optional groups and the anchor and query string properties. Splat properties also
+ * accept arrays.
+ *
+ * @memberof codegen
+ * @function pathHelpersFlowDeclarations
+ * @static
+ * @param {Router} router - The resolved router.
+ * @returns {string} - The declarations source.
+ * @example
+ *
+ * > pathHelpersFlowDeclarations(resolve([resources('users', {only: ['show']})]))
+ * // ...
+ * declare export var userPath: (properties: { id: PathPropertyValue, anchor?: string | number, [property: string]: mixed }) => string
+ *
+ * export type Paths = {
+ *   "user": typeof userPath
+ * }
+ * // ...
+ */
+export const pathHelpersFlowDeclarations = (router: Router): string => {
+  const definitions = pathHelperDefinitions(router)
+
+  return R.join('\n\n', [
+    `// @flow\n${GENERATED_HEADER}`,
+    `export type ${PATH_PROPERTY_TYPE} = string | number`,
+    R.join('\n', R.map(
+      (definition: PathHelperDefinition) =>
+        `declare export var ${definition.name}: ${pathHelperSignature(QUERY_PROPERTIES.flow, definition)}`,
+      definitions
+    )),
+    `export type Paths = {\n${R.join(',\n', R.map(pathsTypeProperty, definitions))}\n}`,
+    'declare export default Paths'
+  ]) + '\n'
+}
+
+const ensureUniquePathHelperNames = (definitions: Array<PathHelperDefinition>): Array<PathHelperDefinition> => {
+  const collision = R.find(
+    (aliases: Array<string>) => R.length(aliases) > 1,
+    R.values(R.map(R.pluck('alias'), R.groupBy(R.prop('name'), definitions)))
+  )
+
+  if (collision) {
+    throw new Error(
+      `Path helpers ${R.join(', ', collision)} would all be exported as ${pathHelperName(R.head(collision))}, rename their aliases`
+    )
+  }
+
+  return definitions
+}
+
+const constraintsLiteral = (constraints?: RouteConstraints): string =>
+  R.isNil(constraints)
+    ? ''
+    : `, {${R.join(', ', R.map(([key, constraint]) => `${JSON.stringify(key)}: ${String(constraint)}`, R.toPairs(constraints)))}}`
+
+const pathHelperSignature = (queryProperties: string, definition: PathHelperDefinition): string => {
+  const splatProperties = R.defaultTo([], definition.splatProperties)
+  const propertyType = (property: string): string =>
+    R.contains(property, splatProperties) ? `${PATH_PROPERTY_TYPE} | Array<${PATH_PROPERTY_TYPE}>` : PATH_PROPERTY_TYPE
+  const pathProperties = R.concat(
+    R.map((property: string) => `${JSON.stringify(property)}: ${propertyType(property)}`, definition.properties),
+    R.map((property: string) => `${JSON.stringify(property)}?: ${propertyType(property)}`, R.defaultTo([], definition.optionalProperties))
+  )
+
+  return `(properties${R.isEmpty(definition.properties) ? '?' : ''}: { ${R.join(', ', R.append(queryProperties, pathProperties))} }) => string`
+}
+
+const pathsTypeProperty = ({ alias, name }: PathHelperDefinition): string =>
+  `  ${JSON.stringify(alias)}: typeof ${name}`
@@ -0,0 +1,199 @@
+/* @flow */
+/** @namespace conflicts */
+
+import R from 'ramda'
+import { type Route } from '~/src/dsl/http'
+import { matchConstraint, normalizePath, pathParams } from '~/src/matcher'
+import { type RouteModuleTuple } from '~/src/router'
+
+/**
+ * @typedef {string} RouteConflictType
+ * @memberof conflicts
+ */
+export type RouteConflictType =
+  'duplicate-alias'
+  | 'duplicate-route'
+  | 'unreachable-route'
+
+/**
+ * @typedef {Object} RouteConflict
+ * @memberof conflicts
+ * @property {RouteConflictType} type - The kind of conflict.
+ * @property {string} message - A description of the conflict.
+ * @property {Array.<Route>} routes - The conflicting routes, in declaration order.
+ */
+export type RouteConflict = {|
+  type: RouteConflictType,
+  message: string,
+  routes: Array<Route>
+|}
+
+/**
+ * Detects conflicts between the given routes:
+ *
+ *  + `duplicate-route`: two or more routes with the same HTTP method and path.
+ *  + `duplicate-alias`: two or more routes with the same alias (only one path helper can be built).
+ *  + `unreachable-route`: a route which can never be matched because an earlier route with the same
+ *    HTTP method has a param segment matching all of its requests (e.g. `GET /users/:id` before `GET /users/search`).
+ *
+ * @memberof conflicts
+ * @function detectConflicts
+ * @static
+ * @param {Array.<?RouteModuleTuple>} routes - The resolved routes, in declaration order.
+ * @returns {Array.<RouteConflict>} - The conflicts found, if any.
+ */
+export const detectConflicts = (routes: Array<?RouteModuleTuple>): Array<RouteConflict> => {
+  const plainRoutes = R.pipe(R.reject(R.isNil), R.map(R.head))(routes)
+
+  return R.unnest([
+    duplicateRoutes(plainRoutes),
+    duplicateAliases(plainRoutes),
+    unreachableRoutes(plainRoutes)
+  ])
+}
+
+/**
+ * Describes a route by its HTTP method and normalized path.
+ *
+ * @memberof conflicts
+ * @function describeRoute
+ * @static
+ * @param {Route} route
+ * @returns {string}
+ * @example
+ *
+ * > describeRoute({handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users'})
+ * 'GET /users/:id'
+ */
+export const describeRoute = (route: Route): string =>
+  `${route.httpMethod} ${normalizePath(route.path)}`
+
+/**
+ * Finds the groups of routes sharing an alias.
+ *
+ * @memberof conflicts
+ * @function duplicateAliases
+ * @static
+ * @param {Array.<Route>} routes
+ * @returns {Array.<RouteConflict>}
+ */
+export const duplicateAliases = (routes: Array<Route>): Array<RouteConflict> =>
+  R.pipe(
+    R.filter(R.has('as')),
+    groupDuplicatesBy(R.prop('as')),
+    R.map((duplicates: Array<Route>) => ({
+      type: 'duplicate-alias',
+      message: `Path helper ${R.head(duplicates).as} is declared by ${duplicates.length} routes: ${R.join(', ', R.map(describeRoute, duplicates))}`,
+      routes: duplicates
+    }))
+  )(routes)
+
+/**
+ * Finds the groups of routes sharing an HTTP method and path.
+ *
+ * @memberof conflicts
+ * @function duplicateRoutes
+ * @static
+ * @param {Array.<Route>} routes
+ * @returns {Array.<RouteConflict>}
+ */
+export const duplicateRoutes = (routes: Array<Route>): Array<RouteConflict> =>
+  R.pipe(
+    groupDuplicatesBy(describeRoute),
+    R.map((duplicates: Array<Route>) => ({
+      type: 'duplicate-route',
+      message: `Route ${describeRoute(R.head(duplicates))} is declared ${duplicates.length} times`,
+      routes: duplicates
+    }))
+  )(routes)
+
+/**
+ * Whether every request matched by the later route would already be matched by the earlier route. Routes
+ * with the same path are duplicates rather than shadowed routes and are not reported here. A constrained param
+ * of the earlier route only covers the static segments matching its constraint, and the later route's params
+ * with the same constraint. Routes with optional groups or splats are not compared.
+ *
+ * @memberof conflicts
+ * @function shadowsRoute
+ * @static
+ * @param {Route} earlierRoute
+ * @param {Route} laterRoute
+ * @returns {boolean}
+ */
+export const shadowsRoute = R.curry((earlierRoute: Route, laterRoute: Route): bool => {
+  const earlierSegments = pathSegments(earlierRoute.path)
+  const laterSegments = pathSegments(laterRoute.path)
+
+  return earlierRoute.httpMethod === laterRoute.httpMethod &&
+    !R.any(hasVariableSegments, [earlierRoute, laterRoute]) &&
+    !R.equals(earlierSegments, laterSegments) &&
+    earlierSegments.length === laterSegments.length &&
+    R.all(
+      ([earlierSegment, laterSegment]) => earlierSegment === laterSegment ||
+        (isParamSegment(earlierSegment) && paramCoversSegment(earlierRoute, laterRoute, earlierSegment, laterSegment)),
+      R.zip(earlierSegments, laterSegments)
+    )
+})
+
+/**
+ * Finds the routes that are shadowed by an earlier route.
+ *
+ * @memberof conflicts
+ * @function unreachableRoutes
+ * @static
+ * @param {Array.<Route>} routes
+ * @returns {Array.<RouteConflict>}
+ */
+export const unreachableRoutes = (routes: Array<Route>): Array<RouteConflict> =>
+  R.addIndex(R.chain)(
+    (laterRoute: Route, index: number) =>
+      R.pipe(
+        R.take(index),
+        R.find(shadowsRoute(R.__, laterRoute)),
+        R.ifElse(
+          R.isNil,
+          R.always([]),
+          (earlierRoute: Route) => [{
+            type: 'unreachable-route',
+            message: `Route ${describeRoute(laterRoute)} is unreachable, its requests are handled by the earlier route ${describeRoute(earlierRoute)}`,
+            routes: [earlierRoute, laterRoute]
+          }]
+        )
+      )(routes),
+    routes
+  )
+
+const groupDuplicatesBy = (keyFn: (route: Route) => string) => (routes: Array<Route>): Array<Array<Route>> =>
+  R.pipe(
+    R.groupBy(keyFn),
+    R.values,
+    R.filter(R.pipe(R.length, R.lt(1)))
+  )(routes)
+
+const paramCoversSegment = (
+  earlierRoute: Route,
+  laterRoute: Route,
+  earlierSegment: string,
+  laterSegment: string
+): bool => {
+  const constraint = R.path(['constraints', R.tail(earlierSegment)], earlierRoute)
+
+  if (R.isNil(constraint)) {
+    return true
+  }
+
+  return isParamSegment(laterSegment)
+    ? String(constraint) === String(R.path(['constraints', R.tail(laterSegment)], laterRoute))
+    : matchConstraint(constraint, laterSegment)
+}
+
+const hasVariableSegments = (route: Route): bool =>
+  R.test(/\(/, route.path) || R.any(R.prop('splat'), pathParams(route.path))
+
+const isParamSegment: (segment: string) => bool = R.test(/^:/)
+
+const pathSegments: (path: string) => Array<string> = R.pipe(
+  normalizePath,
+  R.split('/'),
+  R.reject(R.isEmpty)
+)
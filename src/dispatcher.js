@@ -0,0 +1,227 @@
+/* @flow */
+/** @namespace dispatcher */
+
+import R from 'ramda'
+import url from 'url'
+import { compileMountPath, compilePath, matchCompiledPath, matchHttpMethod, type CompiledPath } from '~/src/matcher'
+import { routeModuleHandler, type RouteModuleTuple, type Router } from '~/src/router'
+import { routeMetadata, type Route } from '~/src/dsl/http'
+
+/**
+ * @typedef {function} RequestDispatcher
+ * @memberof dispatcher
+ * @param {http.IncomingMessage} req - The incoming request.
+ * @param {http.ServerResponse} res - The server response.
+ * @param {function} [next] - When given (e.g. when used as connect middleware), non-matching requests and errors are passed to it instead of being responded to.
+ */
+export type RequestDispatcher = (req: Object, res: Object, next?: (error?: mixed) => void) => void
+
+/**
+ * @typedef {Object} DispatcherOptions
+ * @memberof dispatcher
+ * @property {function} [onError] - Responds to the errors thrown, rejected or passed to `next` by the route middleware and handlers, given `(error, req, res)`. Defaults to an empty 500 response. Not used when the dispatcher is given a `next` function.
+ */
+export type DispatcherOptions = {|
+  onError?: (error: mixed, req: Object, res: Object) => void
+|}
+
+/**
+ * @typedef {Object} DispatchableRoute
+ * @memberof dispatcher
+ * @property {Route} route
+ * @property {CompiledPath} compiledPath - The compiled route path.
+ * @property {Array.<function>} chain - The route middleware followed by the handler function(s).
+ */
+export type DispatchableRoute = {|
+  route: Route,
+  compiledPath: CompiledPath,
+  chain: Array<Function>
+|}
+
+/**
+ * Builds a request listener for node's `http` module from a resolved {@link Router}. Requests are matched
+ * by HTTP method and path pattern, the path params are set on `req.params`, the query string on `req.query`
+ * and any route metadata (description, tags, deprecated or meta) on `req.routeMetadata`, then the route
+ * middleware and handler are invoked in order with `(req, res, next)`.
+ *
+ * Requests that match no route path get a 404 response, and requests that match a route path but none of its
+ * HTTP methods get a 405 response with an `Allow` header. HEAD requests fall back to GET routes. Errors
+ * thrown, rejected (by middleware or handlers returning a promise) or passed to `next` are handled by the
+ * `onError` option, which defaults to a 500 response. Mounted applications (see {@link dsl.mount}) handle every
+ * request under their path, with the mount path removed from `req.url` until they call `next`.
+ *
+ * @memberof dispatcher
+ * @function dispatcher
+ * @static
+ * @param {Router} router - The resolved router.
+ * @param {DispatcherOptions} [options]
+ * @returns {RequestDispatcher}
+ * @example
+ *
+ * http.createServer(flauta.dispatcher(router)).listen(process.env.PORT)
+ *
+ * @example
+ *
+ * http.createServer(flauta.dispatcher(router, {
+ *   onError: (error, req, res) => {
+ *     logger.error(error)
+ *     res.statusCode = 500
+ *     res.end('Something went wrong')
+ *   }
+ * }))
+ */
+export const dispatcher = (router: Router, options?: ?DispatcherOptions): RequestDispatcher => {
+  const dispatchableRoutes = R.map(toDispatchableRoute, R.reject(R.isNil, router.routes))
+  const onError = R.propOr(respondWithError, 'onError', R.defaultTo({}, options))
+  const finish = (req: Object, res: Object, next?: (error?: mixed) => void, error?: mixed): void => {
+    if (next) {
+      return next(error)
+    }
+
+    return R.isNil(error) ? respond(res, 404, 'Not Found') : onError(error, req, res)
+  }
+
+  return (req: Object, res: Object, next?: (error?: mixed) => void): void => {
+    const { pathname, query } = url.parse(req.url, true)
+    const pathMatches = R.pipe(
+      R.map((dispatchableRoute: DispatchableRoute) =>
+        [dispatchableRoute, matchCompiledPath(dispatchableRoute.compiledPath, pathname)]
+      ),
+      R.reject(R.pipe(R.last, R.isNil))
+    )(dispatchableRoutes)
+
+    if (R.isEmpty(pathMatches)) {
+      return finish(req, res, next)
+    }
+
+    const methodMatch = R.find(R.pipe(R.head, routeAcceptsMethod(req.method)), pathMatches)
+    if (R.isNil(methodMatch)) {
+      const allowedMethods = R.pipe(R.map(R.path([0, 'route', 'httpMethod'])), R.uniq)(pathMatches)
+      return next ? next() : respond(res, 405, 'Method Not Allowed', { Allow: R.join(', ', allowedMethods) })
+    }
+
+    const [{ chain, route }, params] = methodMatch
+    req.params = params
+    req.query = R.merge({}, query)
+    const metadata = routeMetadata(route)
+    if (!R.isEmpty(metadata)) {
+      req.routeMetadata = metadata
+    }
+    runChain(chain, req, res, (error?: mixed) => finish(req, res, next, error))
+  }
+}
+
+/**
+ * Whether the route handles requests with the given HTTP method. HEAD requests are handled by GET routes.
+ *
+ * @memberof dispatcher
+ * @function routeAcceptsMethod
+ * @static
+ * @param {string} httpMethod - The request's HTTP method.
+ * @param {DispatchableRoute} dispatchableRoute
+ * @returns {boolean}
+ */
+export const routeAcceptsMethod = R.curry((httpMethod: string, { route }: DispatchableRoute): bool =>
+  matchHttpMethod(httpMethod, route.httpMethod)
+)
+
+/**
+ * Invokes each function of the chain with `(req, res, next)`, moving to the next function when `next` is
+ * called. Calls `done` when the chain is exhausted, or with the error when one is thrown or passed to `next`,
+ * or when a function returns a promise (e.g. an `async` handler) which rejects. `done` is only ever called once:
+ * errors thrown once the chain has completed, including those thrown by `done` itself, are rethrown to the caller.
+ *
+ * @memberof dispatcher
+ * @function runChain
+ * @static
+ * @param {Array.<function>} chain - The middleware and handler functions.
+ * @param {Object} req - The incoming request.
+ * @param {Object} res - The server response.
+ * @param {function} done - Invoked (with any error) once the chain is exhausted or errors.
+ * @returns {void}
+ */
+export const runChain = (
+  chain: Array<Function>,
+  req: Object,
+  res: Object,
+  done: (error?: mixed) => void
+): void => {
+  let completed = false
+  const complete = (error?: mixed): void => {
+    if (!completed) {
+      completed = true
+      done(error)
+    }
+  }
+  const fail = (error: mixed): void => {
+    if (completed) {
+      throw error
+    }
+    complete(error)
+  }
+
+  const step = (index: number, error?: mixed): void => {
+    if (R.isNil(error) && index < R.length(chain)) {
+      R.tryCatch(
+        () => catchRejection(chain[index](req, res, (nextError?: mixed) => step(index + 1, nextError)), fail),
+        fail
+      )()
+    } else {
+      complete(error)
+    }
+  }
+
+  step(0)
+}
+
+/**
+ * Compiles the route path and builds the middleware and handler chain for a {@link RouteModuleTuple}.
+ * Mounted applications are called with the mount path removed from `req.url`.
+ *
+ * @memberof dispatcher
+ * @function toDispatchableRoute
+ * @static
+ * @param {RouteModuleTuple} routeModuleTuple
+ * @returns {DispatchableRoute}
+ */
+export const toDispatchableRoute = ([route, routeModule]: RouteModuleTuple): DispatchableRoute => {
+  const compiledPath = (route.mount ? compileMountPath : compilePath)(route.path, route.constraints)
+  const handlers = R.flatten([R.defaultTo([], routeModuleHandler(route, routeModule))])
+
+  return {
+    route,
+    compiledPath,
+    chain: R.concat(R.propOr([], 'middleware', route), route.mount ? R.map(mountedHandler(compiledPath), handlers) : handlers)
+  }
+}
+
+const mountedHandler = R.curry((compiledPath: CompiledPath, mounted: Function) =>
+  (req: Object, res: Object, next: (error?: mixed) => void): mixed => {
+    const originalUrl = req.url
+    const { pathname, search } = url.parse(originalUrl)
+    const requestPath = R.defaultTo('', pathname)
+    const mountPath = R.head(R.defaultTo([''], compiledPath.regexp.exec(requestPath)))
+    const mountedPath = R.drop(R.length(mountPath), requestPath)
+    req.url = `${R.isEmpty(mountedPath) ? '/' : mountedPath}${R.defaultTo('', search)}`
+
+    return mounted(req, res, (error?: mixed) => {
+      req.url = originalUrl
+      next(error)
+    })
+  }
+)
+
+const catchRejection = (result: ?Object, onRejected: (error: mixed) => void): void => {
+  if (result && R.is(Function, result.then)) {
+    result.then(undefined, onRejected)
+  }
+}
+
+const respondWithError = (error: mixed, req: Object, res: Object): void =>
+  respond(res, 500, 'Internal Server Error')
+
+const respond = (res: Object, statusCode: number, body: string, headers?: { [string]: string } = {}): void => {
+  res.statusCode = statusCode
+  R.forEachObjIndexed((value, name) => res.setHeader(name, value), R.assoc('Content-Type', 'text/plain', headers))
+  res.end(body)
+}
@@ -3,7 +3,9 @@
 
 import R from 'ramda'
 import path from 'path'
-import { type Route } from '~/src/dsl/http'
+import { namespaceConcernRoutes, type Concern } from '~/src/dsl/concerns'
+import { type Route, type RouteConstraints } from '~/src/dsl/http'
+import { mergeIfPresent } from '~/src/ramda-extensions'
 
 /**
  * @typedef {object} NamespaceDefinition
@@ -11,22 +13,38 @@ import { type Route } from '~/src/dsl/http'
  * @property {string} require - The require path of the namespace that all child routes should inherit. Should be an absolute path.
  * @property {string} path - The URL path of the namespace that all child routes should inherit.
  * @property {string} [as] - The namespace's alias.
+ * @property {Array.<function>} [middleware] - Middleware functions that all child routes should run before their own middleware and handler.
+ * @property {string} [description] - The default description of the child routes.
+ * @property {Array.<string>} [tags] - Tags prepended to the tags of all child routes.
+ * @property {boolean} [deprecated] - Whether all child routes are deprecated, unless they say otherwise.
+ * @property {object} [meta] - Free-form attributes merged under the meta of all child routes.
+ * @property {RouteConstraints} [constraints] - Param constraints of all child routes, unless they have their own for the same param.
+ * @property {Array.<Concern>} [concerns] - Shared routes to add to the child routes, see {@link dsl/concerns.concern}.
  */
 export type NamespaceDefinition = {|
   require: string,
   path: string,
-  as?: string
+  as?: string,
+  middleware?: Array<Function>,
+  description?: string,
+  tags?: Array<string>,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints,
+  concerns?: Array<Concern>
 |}
 
 /**
  * Adjusts the Route's require and path properties, prepending those from the namespace definition.
+ * Any namespace middleware and tags are prepended to the Route's own, the namespace meta and constraints are merged
+ * under the Route's own and the namespace description and deprecation apply unless the Route has its own.
  *
  * @memberof dsl
  * @function applyNamespaceToRoute
  * @static
  * @param {NamespaceDefintion} namespaceDefinition - The namespace definition arguments (e.g. require & path).
  * @param {Route} namespacedRoute - The Route to update with the given definition.
- * @returns {Route} - The Route with the require and path properties modified.
+ * @returns {Route} - The Route with the require, path, middleware and metadata properties modified. Redirect and mount routes keep their empty require path, and the routes of mounted routes modules keep their absolute require path (see {@link dsl.mount}).
  */
 export const applyNamespaceToRoute = R.curry((
   namespaceDefinition: NamespaceDefinition,
@@ -34,7 +52,9 @@ export const applyNamespaceToRoute = R.curry((
 ): Route =>
   R.pipe(
     R.evolve({
-      require: pathJoiner(namespaceDefinition.require),
+      require: R.anyPass([R.has('redirect'), R.has('mount'), R.propEq('requireResolved', true)])(namespacedRoute)
+        ? R.identity
+        : pathJoiner(namespaceDefinition.require),
       path: pathJoiner(namespaceDefinition.path)
     }),
     R.when(
@@ -46,6 +66,31 @@ export const applyNamespaceToRoute = R.curry((
           R.replace(/(^-|-$)/, '')
         )
       })
+    ),
+    R.when(
+      () => R.has('middleware', namespaceDefinition),
+      (route: Route) => R.assoc(
+        'middleware',
+        R.concat(namespaceDefinition.middleware, R.propOr([], 'middleware', route)),
+        route
+      )
+    ),
+    mergeIfPresent(R.pick(['description', 'deprecated'], namespaceDefinition)),
+    R.when(
+      () => R.has('tags', namespaceDefinition),
+      (route: Route) => R.assoc(
+        'tags',
+        R.uniq(R.concat(namespaceDefinition.tags, R.propOr([], 'tags', route))),
+        route
+      )
+    ),
+    R.when(
+      () => R.has('meta', namespaceDefinition),
+      (route: Route) => R.assoc('meta', mergeIfPresent(namespaceDefinition.meta, route.meta), route)
+    ),
+    R.when(
+      () => R.has('constraints', namespaceDefinition),
+      (route: Route) => R.assoc('constraints', mergeIfPresent(namespaceDefinition.constraints, route.constraints), route)
     )
   )(namespacedRoute)
 )
@@ -58,6 +103,8 @@ export const applyNamespaceToRoute = R.curry((
  * The outer namespace definition should provide an absolute require path so that this library can
  * require the controller files correctly.
  *
+ * The routes of the namespace's concerns are added after the given routes (see {@link dsl/concerns.namespaceConcernRoutes}).
+ *
  * @memberof dsl
  * @function namespace
  * @static
@@ -73,13 +120,99 @@ export const namespace = R.curry((
   R.map(
     R.ifElse(
       R.isArrayLike,
-      namespace(namespaceDefinition),
+      namespace(R.omit(['concerns'], namespaceDefinition)),
       applyNamespaceToRoute(namespaceDefinition)
     ),
-    namespacedRoutes
+    R.concat(namespacedRoutes, namespaceConcernRoutes(R.propOr([], 'concerns', namespaceDefinition)))
   )
 )
 
+/**
+ * @typedef {object} MountOptions
+ * @memberof dsl
+ * @property {string} [require] - The require path prepended to the require paths of mounted flauta routes, for routes modules using relative require paths.
+ * @property {string} [as] - The alias of a mounted application, or the alias prefix of mounted flauta routes. Defaults to the mount path.
+ * @property {Array.<function>} [middleware] - Middleware functions to run before the mounted application or routes.
+ * @property {string} [description] - The description of a mounted application, or the default description of mounted flauta routes.
+ * @property {Array.<string>} [tags] - Tags of a mounted application, or prepended to the tags of mounted flauta routes.
+ * @property {boolean} [deprecated] - Whether the mounted application or routes are deprecated.
+ * @property {object} [meta] - Free-form attributes of a mounted application, or merged under the meta of mounted flauta routes.
+ * @property {RouteConstraints} [constraints] - Constraints of the params of the mount path.
+ */
+export type MountOptions = {|
+  require?: string,
+  as?: string,
+  middleware?: Array<Function>,
+  description?: string,
+  tags?: Array<string>,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints
+|}
+
+/**
+ * Mounts another flauta routes module, or any Express sub-application or middleware, at the given path.
+ *
+ * Flauta routes are given as their list of route definitions, or as a routes module exporting them as `routes`.
+ * They are namespaced under the mount path (see {@link dsl.namespace}): their paths are prefixed with it, their
+ * require paths with the `require` option and their aliases with the `as` option or the mount path. The routes
+ * whose require path is then absolute are marked with `requireResolved`, so that the namespaces the mount is
+ * declared in don't prefix it again.
+ *
+ * Applications and middleware (any function) become a single route handling every HTTP verb under the mount
+ * path, registered with `app.use` and called with the mount path removed from `req.url`. No module is required
+ * for the route.
+ *
+ * @memberof dsl
+ * @function mount
+ * @static
+ * @param {string} mountPath - The URL path to mount the routes or application at.
+ * @param {(Array.<Route>|Object|function)} mounted - The route definitions, the routes module exporting them as `routes`, or the application.
+ * @param {MountOptions} [options] - Additional mount options, if any.
+ * @returns {(Array.<Route>|Route)} - The namespaced routes, or the route of the mounted application.
+ * @example
+ *
+ * > mount('billing', require('billing/routes'), {require: path.dirname(require.resolve('billing/routes'))})
+ * [{handler: 'index', httpMethod: 'GET', path: '/billing/invoices', require: '/app/node_modules/billing/controllers/invoices', as: 'billing-invoices'}, ...]
+ *
+ * > mount('graphql', graphqlMiddleware, {as: 'graphql'})
+ * {as: 'graphql', handler: 'mount', httpMethod: 'ALL', path: 'graphql', require: '', mount: graphqlMiddleware}
+ */
+export const mount = R.curryN(2, (
+  mountPath: string,
+  mounted: Array<Route> | { routes: Array<Route> } | Function,
+  options?: MountOptions
+): Array<Route> | Route => {
+  const mountOptions = R.defaultTo({}, options)
+
+  if (typeof mounted === 'function') {
+    return mergeIfPresent({
+      handler: 'mount',
+      httpMethod: 'ALL',
+      path: mountPath,
+      require: '',
+      mount: mounted
+    }, R.omit(['require'], mountOptions))
+  }
+
+  const mountedRoutes = Array.isArray(mounted) ? mounted : R.prop('routes', R.defaultTo({}, mounted))
+  if (!Array.isArray(mountedRoutes)) {
+    throw new Error(`Cannot mount ${mountPath}: expected route definitions, a routes module exporting them as \`routes\` or an application`)
+  }
+
+  return mapRoutes(
+    R.when(
+      (route: Route) => path.isAbsolute(route.require),
+      R.assoc('requireResolved', true)
+    ),
+    namespace(R.merge(mountOptions, { path: mountPath, require: R.defaultTo('', mountOptions.require) }), mountedRoutes)
+  )
+})
+
+const mapRoutes = R.curry((fn: (route: Route) => Route, routes: Array<Route>): Array<Route> =>
+  R.map(R.ifElse(R.isArrayLike, mapRoutes(fn), fn), routes)
+)
+
 /**
  * Curried version of path.join to allow easier partial application.
  *
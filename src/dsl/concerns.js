@@ -0,0 +1,121 @@
+/* @flow */
+/** @namespace dsl/concerns */
+
+import R from 'ramda'
+import { route, type HTTPMethod, type Route } from '~/src/dsl/http'
+
+/**
+ * @typedef {Object} ResourceRouteDefinition
+ * @memberof dsl/concerns
+ * @property {HTTPMethod} httpMethod - The HTTP verb to register the route under.
+ * @property {string} name - The name of the route, used as the final path segment and as the alias prefix.
+ * @property {string} [handler] - The name of the handler function exported by the resource's controller. Defaults to the name.
+ */
+export type ResourceRouteDefinition = {|
+  httpMethod: HTTPMethod,
+  name: string,
+  handler?: string
+|}
+
+/**
+ * @typedef {Object} ConcernOptions
+ * @memberof dsl/concerns
+ * @property {Array.<ResourceRouteDefinition>} [member] - Routes acting on a single resource of the host (e.g. `GET /posts/:id/audit-log`).
+ * @property {Array.<ResourceRouteDefinition>} [collection] - Routes acting on the resource collection of the host (e.g. `GET /posts/archived`).
+ */
+export type ConcernOptions = {|
+  member?: Array<ResourceRouteDefinition>,
+  collection?: Array<ResourceRouteDefinition>
+|}
+
+/**
+ * @typedef {Object} Concern
+ * @memberof dsl/concerns
+ * @property {string} name - The name of the concern.
+ * @property {Array.<ResourceRouteDefinition>} member - The member routes added to the host.
+ * @property {Array.<ResourceRouteDefinition>} collection - The collection routes added to the host.
+ * @property {Array.<Route>} routes - The route definitions nested under the host.
+ */
+export type Concern = {|
+  name: string,
+  member: Array<ResourceRouteDefinition>,
+  collection: Array<ResourceRouteDefinition>,
+  routes: Array<Route | Array<Route>>
+|}
+
+/**
+ * Defines a named set of routes shared by several resources or namespaces, which apply it with their
+ * `concerns` option.
+ *
+ * Applied to `resources`, the member and collection routes are added to the resource's own (see the `member`
+ * and `collection` options of {@link dsl/resources.resources}) and the nested routes are nested under the
+ * resource's member path, e.g. `posts/:post_id/comments` aliased `post-comments`.
+ *
+ * Applied to a `namespace`, which has no member path, the member and collection routes are all added under
+ * the namespace path, handled by the controller module named after the concern in the namespace's require path,
+ * and the nested routes are added to the namespace's routes.
+ *
+ * @memberof dsl/concerns
+ * @function concern
+ * @static
+ * @param {string} name - The name of the concern.
+ * @param {ConcernOptions|Array.<Route>} [options] - The member and collection routes, if any. May be omitted in favor of the nested routes.
+ * @param {Array.<Route>} [nestedRoutes] - Route definitions to nest under the host, if any.
+ * @returns {Concern}
+ * @example
+ *
+ * const commentable = concern('commentable', [resources('comments', {only: ['index', 'create']})])
+ * const auditable = concern('auditable', {member: [{httpMethod: 'GET', name: 'audit-log'}]})
+ *
+ * resources('posts', {concerns: [commentable, auditable]})
+ * // => [..., 'GET posts/:id/audit-log' (alias audit-log-post), 'GET posts/:post_id/comments' (alias post-comments), ...]
+ */
+export const concern = (
+  name: string,
+  options?: ConcernOptions | Array<Route | Array<Route>>,
+  nestedRoutes?: Array<Route | Array<Route>>
+): Concern => {
+  if (Array.isArray(options)) {
+    return concern(name, undefined, options)
+  }
+
+  return {
+    name,
+    member: R.propOr([], 'member', options),
+    collection: R.propOr([], 'collection', options),
+    routes: R.defaultTo([], nestedRoutes)
+  }
+}
+
+/**
+ * Expands the routes of the concerns applied to a namespace (see {@link dsl/concerns.concern}), relative to the
+ * namespace: the member and collection routes are handled by the controller module named after the concern and
+ * aliased with their name, to be prefixed by the namespace alias.
+ *
+ * @memberof dsl/concerns
+ * @function namespaceConcernRoutes
+ * @static
+ * @param {Array.<Concern>} concerns - The concerns applied to the namespace.
+ * @returns {Array.<Route>} - The route definitions to add to the namespace's routes.
+ * @example
+ *
+ * > namespaceConcernRoutes([concern('auditable', {collection: [{httpMethod: 'GET', name: 'audit-log', handler: 'index'}]})])
+ * [{handler: 'index', httpMethod: 'GET', path: 'audit-log', require: 'auditable', as: 'audit-log'}]
+ */
+export const namespaceConcernRoutes = (concerns: Array<Concern>): Array<Route | Array<Route>> =>
+  R.chain(
+    (namespaceConcern: Concern) => R.concat(
+      R.map(
+        (definition: ResourceRouteDefinition) => route(
+          definition.httpMethod,
+          definition.name,
+          namespaceConcern.name,
+          R.propOr(definition.name, 'handler', definition),
+          { as: definition.name }
+        ),
+        R.concat(namespaceConcern.member, namespaceConcern.collection)
+      ),
+      namespaceConcern.routes
+    ),
+    concerns
+  )
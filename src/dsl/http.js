@@ -7,15 +7,24 @@ import { mergeIfPresent } from '~/src/ramda-extensions'
 /**
  * @typedef {string} HTTPMethod
  * @memberof dsl/http
+ * @description One of the HTTP verbs, or `ALL` for mounted applications handling every verb (see {@link dsl.mount}).
  */
 export type HTTPMethod =
-  'DELETE'
+  'ALL'
+  | 'DELETE'
   | 'GET'
   | 'HEAD'
   | 'PATCH'
   | 'POST'
   | 'PUT'
 
+/**
+ * @typedef {Object.<string, RegExp>} RouteConstraints
+ * @memberof dsl/http
+ * @description Object where keys are param names and values are regular expressions the whole param value must match.
+ */
+export type RouteConstraints = { [param: string]: RegExp }
+
 /**
  * @typedef {object} Route
  * @memberof dsl/http
@@ -24,24 +33,141 @@ export type HTTPMethod =
  * @property {HTTPMethod} httpMethod - The HTTP verb to register this route under.
  * @property {string} require - The require path of the namespace that all child routes should inherit. Should be an absolute path.
  * @property {string} path - The URL path of the namespace that all child routes should inherit.
+ * @property {Array.<function>} [middleware] - Middleware functions to run before the handler, including those inherited from namespaces.
+ * @property {string} [summary] - A short summary of what the route does, used in OpenAPI documents.
+ * @property {Array.<string>} [tags] - Tags grouping the route with related routes, used in OpenAPI documents.
+ * @property {object} [requestSchema] - The JSON schema of the request body.
+ * @property {object} [responseSchema] - The JSON schema of the successful response body.
+ * @property {string} [description] - A description of what the route is for.
+ * @property {boolean} [deprecated] - Whether the route is deprecated.
+ * @property {object} [meta] - Free-form attributes for your own tooling and middleware.
+ * @property {RouteConstraints} [constraints] - Regular expressions the route's params must match, e.g. `{id: /\d+/}`.
+ * @property {RouteRedirect} [redirect] - The redirect answering requests in place of a handler, see {@link dsl/http.redirect}.
+ * @property {function} [mount] - The application or middleware handling the requests under the route path, see {@link dsl.mount}.
+ * @property {boolean} [requireResolved] - Whether the require path is final and left unchanged by namespaces, as for the routes of mounted routes modules, see {@link dsl.mount}.
  */
 export type Route = {|
   as?: string,
   handler: string,
   httpMethod: HTTPMethod,
+  middleware?: Array<Function>,
   require: string,
-  path: string
+  path: string,
+  summary?: string,
+  tags?: Array<string>,
+  requestSchema?: Object,
+  responseSchema?: Object,
+  description?: string,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints,
+  redirect?: RouteRedirect,
+  mount?: Function,
+  requireResolved?: boolean
+|}
+
+/**
+ * @typedef {object} RouteRedirect
+ * @memberof dsl/http
+ * @property {(string|function)} to - The target path or URL, or a function of the params and request returning it.
+ * @property {number} status - The HTTP status code of the redirect responses.
+ * @property {boolean} keepQuery - Whether the query string of the request is appended to the target.
+ */
+export type RouteRedirect = {|
+  to: string | (params: { [string]: string }, request: Object) => string,
+  status: number,
+  keepQuery: boolean
 |}
 
 /**
  * @typedef {object} RouteOptions
  * @memberof dsl/http
  * @property {string} [as] - The namespace's alias.
+ * @property {Array.<function>} [middleware] - Middleware functions to run before the handler.
+ * @property {string} [summary] - A short summary of what the route does, used in OpenAPI documents.
+ * @property {Array.<string>} [tags] - Tags grouping the route with related routes, used in OpenAPI documents.
+ * @property {object} [requestSchema] - The JSON schema of the request body.
+ * @property {object} [responseSchema] - The JSON schema of the successful response body.
+ * @property {string} [description] - A description of what the route is for.
+ * @property {boolean} [deprecated] - Whether the route is deprecated.
+ * @property {object} [meta] - Free-form attributes for your own tooling and middleware.
+ * @property {RouteConstraints} [constraints] - Regular expressions the route's params must match, e.g. `{id: /\d+/}`.
  */
 export type RouteOptions = {|
-  as?: string
+  as?: string,
+  middleware?: Array<Function>,
+  summary?: string,
+  tags?: Array<string>,
+  requestSchema?: Object,
+  responseSchema?: Object,
+  description?: string,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints
+|}
+
+/**
+ * @typedef {object} RedirectOptions
+ * @memberof dsl/http
+ * @property {number} [status] - The HTTP status code of the redirect responses. Defaults to 301.
+ * @property {boolean} [keepQuery] - Append the query string of the request to the target. Defaults to false.
+ * @property {HTTPMethod} [httpMethod] - The HTTP verb to redirect. Defaults to GET.
+ * @property {string} [as] - The route's alias.
+ * @property {Array.<function>} [middleware] - Middleware functions to run before redirecting.
+ * @property {string} [summary] - A short summary of the redirect, used in OpenAPI documents.
+ * @property {Array.<string>} [tags] - Tags grouping the route with related routes, used in OpenAPI documents.
+ * @property {string} [description] - A description of what the redirect is for.
+ * @property {boolean} [deprecated] - Whether the route is deprecated.
+ * @property {object} [meta] - Free-form attributes for your own tooling and middleware.
+ * @property {RouteConstraints} [constraints] - Regular expressions the route's params must match, e.g. `{id: /\d+/}`.
+ */
+export type RedirectOptions = {|
+  status?: number,
+  keepQuery?: boolean,
+  httpMethod?: HTTPMethod,
+  as?: string,
+  middleware?: Array<Function>,
+  summary?: string,
+  tags?: Array<string>,
+  description?: string,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints
 |}
 
+/**
+ * @typedef {object} RouteMetadata
+ * @memberof dsl/http
+ * @property {string} [description] - A description of what the route is for.
+ * @property {Array.<string>} [tags] - Tags grouping the route with related routes.
+ * @property {boolean} [deprecated] - Whether the route is deprecated.
+ * @property {object} [meta] - Free-form attributes for your own tooling and middleware.
+ */
+export type RouteMetadata = {|
+  description?: string,
+  tags?: Array<string>,
+  deprecated?: boolean,
+  meta?: Object
+|}
+
+const ROUTE_METADATA_PROPERTIES = ['description', 'tags', 'deprecated', 'meta']
+
+/**
+ * Picks the metadata describing a Route, i.e. its description, tags, deprecation and free-form meta.
+ *
+ * @memberof dsl/http
+ * @function routeMetadata
+ * @static
+ * @param {Route} route - The route (or namespace definition) to pick the metadata from.
+ * @returns {RouteMetadata} - The metadata present on the route, if any.
+ * @example
+ *
+ * > routeMetadata({handler: 'index', httpMethod: 'GET', path: 'users', require: 'users', tags: ['users']})
+ * {tags: ['users']}
+ */
+export const routeMetadata = (route: Object): RouteMetadata =>
+  R.pick(ROUTE_METADATA_PROPERTIES, route)
+
 /**
  * Curried, general purpose Route building function. Can be used to build more specific route definitions
  * than is provided by the more specific verb or resources functions.
@@ -50,7 +176,7 @@ export type RouteOptions = {|
  * @function route
  * @static
  * @param {HTTPMethod} httpMethod - The HTTP verb.
- * @param {string} endpointPath - The URL path to use.
+ * @param {string} endpointPath - The URL path to use. Besides `:param` segments it may contain `*splat` params, `.:format` suffixes and `(optional)` groups, see {@link matcher.parsePath}.
  * @param {string} require - The path to the javascript module that exports the given handler function. If specified outside of any namespace you should provide an absolute path.
  * @param {string} handler - The name of the handler function that will handle requests for this endpoint. The handler funciton should be exported by the module at the require path.
  * @param {RouteOptions} [options] - Additional route options, if any.
@@ -166,3 +292,65 @@ export const post = route('POST')
  * @see {@link dsl/route}
  */
 export const put = route('PUT')
+
+/**
+ * Curried, Route building function for an endpoint answering with a redirect instead of a controller handler,
+ * e.g. to keep legacy URLs working. No module is required for the route.
+ *
+ * A target path may contain the params of the endpoint path (e.g. `/articles/:id`), which are replaced with
+ * their values from the request, like the path helpers do. A target function is called with the request params
+ * and the request itself (or the Koa context) and returns the target.
+ *
+ * @memberof dsl/http
+ * @function redirect
+ * @static
+ * @param {string} endpointPath - The URL path to redirect from.
+ * @param {(string|function)} to - The target path or URL, or a function of the params and request returning it.
+ * @param {RedirectOptions} [options] - The status code, query string handling and additional route options, if any.
+ * @returns {Route} - The generated route definition, with the `redirect` handler.
+ * @example
+ *
+ * > redirect('/posts/:id', '/articles/:id')
+ * {handler: 'redirect', httpMethod: 'GET', path: '/posts/:id', require: '', redirect: {to: '/articles/:id', status: 301, keepQuery: false}}
+ *
+ * > redirect('/search', (params) => '/find', {status: 302, keepQuery: true})
+ * {handler: 'redirect', httpMethod: 'GET', path: '/search', require: '', redirect: {to: [Function], status: 302, keepQuery: true}}
+ */
+export const redirect = R.curryN(2, (
+  endpointPath: string,
+  to: $PropertyType<RouteRedirect, 'to'>,
+  options?: RedirectOptions
+): Route => {
+  const { status = 301, keepQuery = false, httpMethod = 'GET' } = R.defaultTo({}, options)
+
+  return mergeIfPresent({
+    handler: 'redirect',
+    httpMethod,
+    require: '',
+    path: endpointPath,
+    redirect: { to, status, keepQuery }
+  }, R.omit(REDIRECT_PROPERTIES, R.defaultTo({}, options)))
+})
+
+/**
+ * Describes the target of a redirect, i.e. the target path or the name of the target function.
+ *
+ * @memberof dsl/http
+ * @function redirectTarget
+ * @static
+ * @param {RouteRedirect} routeRedirect
+ * @returns {string}
+ * @example
+ *
+ * > redirectTarget({to: '/articles/:id', status: 301, keepQuery: false})
+ * '/articles/:id'
+ *
+ * > redirectTarget({to: function findArticle () {}, status: 301, keepQuery: false})
+ * 'findArticle()'
+ */
+export const redirectTarget = (routeRedirect: RouteRedirect): string =>
+  typeof routeRedirect.to === 'function'
+    ? `${routeRedirect.to.name || '<anonymous>'}()`
+    : routeRedirect.to
+
+const REDIRECT_PROPERTIES = ['status', 'keepQuery', 'httpMethod']
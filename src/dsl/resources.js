@@ -2,9 +2,12 @@
 /** @namespace dsl/resources */
 
 import R from 'ramda'
-import { pathJoiner } from '~/src/dsl'
-import { destroy as httpDelete, get, patch, post,
-  type Route, type RouteOptions } from '~/src/dsl/http'
+import path from 'path'
+import { namespace, pathJoiner, type NamespaceDefinition } from '~/src/dsl'
+import { type Concern, type ResourceRouteDefinition } from '~/src/dsl/concerns'
+import { destroy as httpDelete, get, patch, post, route,
+  type Route, type RouteConstraints, type RouteOptions } from '~/src/dsl/http'
+import { pathParams } from '~/src/matcher'
 import { mergeIfPresent } from '~/src/ramda-extensions'
 
 import pluralize from 'pluralize'
@@ -23,12 +26,34 @@ export type ResourceType =
 /**
  * @typedef {Object} ResourcesOptions
  * @memberof dsl/resources
+ * @property {string} [as] - The name to use for the resource's path and aliases instead of the resource name.
+ * @property {Array.<function>} [middleware] - Middleware functions to run before the handler of each resource route, including nested routes.
  * @property {Array.<ResourceType>} [only] - A list of resource routes to create, ignoring those omitted.
  * @property {Array.<ResourceType>} [except] - A list of resource routes to skip creation of, creating routes for those values omitted.
+ * @property {Array.<ResourceRouteDefinition>} [member] - Additional routes which act on a single resource (e.g. `POST /users/:id/activate`).
+ * @property {Array.<ResourceRouteDefinition>} [collection] - Additional routes which act on the resource collection (e.g. `GET /users/search`).
+ * @property {string} [description] - The description of each resource route.
+ * @property {Array.<string>} [tags] - Tags of each resource route, including nested routes.
+ * @property {boolean} [deprecated] - Whether each resource route is deprecated, including nested routes.
+ * @property {object} [meta] - Free-form attributes of each resource route, including nested routes.
+ * @property {RouteConstraints} [constraints] - Param constraints of each resource route. The `id` constraint applies to the resource-specific id param of nested routes (e.g. `user_id`).
+ * @property {Array.<Concern>} [concerns] - Shared member, collection and nested routes to add to the resource, see {@link dsl/concerns.concern}.
+ * @property {boolean} [shallow] - Only nest the routes of nested resources which don't act on a single resource, see {@link dsl/resources.shallowNamespace}.
  */
 export type ResourcesOptions = {|
+  as?: string,
+  middleware?: Array<Function>,
   only?: Array<ResourceType>,
   except?: Array<ResourceType>,
+  member?: Array<ResourceRouteDefinition>,
+  collection?: Array<ResourceRouteDefinition>,
+  description?: string,
+  tags?: Array<string>,
+  deprecated?: boolean,
+  meta?: Object,
+  constraints?: RouteConstraints,
+  concerns?: Array<Concern>,
+  shallow?: boolean
 |}
 
 /**
@@ -40,30 +65,159 @@ export type ResourcesOptions = {|
  *  + PATCH /api/v1/{name}/:id   (handler = update)
  *  + DELETE /api/v1/{name}/:id  (handler = destroy)
  *
+ * Additional routes can be added to the resource with the `member` and `collection` options. Member
+ * routes are appended to the resource's `:id` path and collection routes to the resource's path. Both
+ * are handled by the resource's controller and are aliased with the route name prefixed to the
+ * singular (member) or plural (collection) resource alias (e.g. `activate-user` and `search-users`).
+ * Collection routes come before the default endpoints so that `GET /users/search` isn't handled by
+ * `show` with an `:id` of `search`.
+ *
+ * Child routes (typically other resources) can be nested under the resource. Nested routes are
+ * namespaced under the parent's member path (e.g. `users/:user_id/todos/:id`), their controllers
+ * are required from the parent's controller folder (e.g. `users/todos`), and their aliases are
+ * prefixed with the singular parent name (e.g. `user-todos` and `user-todo`).
+ *
+ * The member, collection and nested routes of the resource's concerns (see {@link dsl/concerns.concern}) are
+ * added after the resource's own.
+ *
+ * With the `shallow` option, the nested routes identifying a single resource with an `:id` or `:*_id` param
+ * (e.g. `tasks/:id` and `tasks/:task_id/comments`) are not namespaced under the parent's member path nor
+ * aliased with the parent name, see {@link dsl/resources.shallowNamespace}. The nested collection routes
+ * (e.g. `projects/:project_id/tasks`) are nested as usual.
+ *
  * @memberof dsl/resources
  * @function resources
  * @static
  * @param {string} name - The name of the resource to generate routes for.
- * @param {RouteOptions} [options] - Additional resource options, if any.
+ * @param {ResourcesOptions|Array.<Route>} [options] - Additional resource options, if any. May be omitted in favor of the nested routes.
+ * @param {Array.<Route>} [nestedRoutes] - Route definitions to nest under this resource, if any.
  * @returns {Array.<Route>} - An array of Route definitions.
+ * @example
+ *
+ * > resources('users', {only: ['show'], member: [{httpMethod: 'POST', name: 'activate'}], collection: [{httpMethod: 'GET', name: 'search'}]})
+ * [
+ *   {handler: 'search', httpMethod: 'GET', path: 'users/search', require: 'users', as: 'search-users'},
+ *   {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user'},
+ *   {handler: 'activate', httpMethod: 'POST', path: 'users/:id/activate', require: 'users', as: 'activate-user'}
+ * ]
+ *
+ * @example
  *
+ * > resources('users', [resources('todos', {only: ['index', 'show']})])
+ * [
+ *   ...,
+ *   {handler: 'index', httpMethod: 'GET', path: 'users/:user_id/todos', require: 'users/todos', as: 'user-todos'},
+ *   {handler: 'show', httpMethod: 'GET', path: 'users/:user_id/todos/:id', require: 'users/todos', as: 'user-todo'}
+ * ]
+ *
+ * @example
+ *
+ * > resources('projects', {shallow: true}, [resources('tasks', {only: ['index', 'show']})])
+ * [
+ *   ...,
+ *   {handler: 'index', httpMethod: 'GET', path: 'projects/:project_id/tasks', require: 'projects/tasks', as: 'project-tasks'},
+ *   {handler: 'show', httpMethod: 'GET', path: 'tasks/:id', require: 'projects/tasks', as: 'task'}
+ * ]
  */
 export const resources = (
   name: string,
-  options?: ResourcesOptions
+  options?: ResourcesOptions | Array<Route | Array<Route>>,
+  nestedRoutes?: Array<Route | Array<Route>>
 ): Array<Route> => {
+  if (Array.isArray(options)) {
+    return resources(name, undefined, options)
+  }
+
   const only = R.propOr(DEFAULT_RESOURCES_KEYS, 'only', options)
   const except = R.propOr([], 'except', options)
-  const argsToApply = [name, R.omit(['only', 'except'], options)]
+  const concerns = R.propOr([], 'concerns', options)
+  const routeOptions = R.omit(['only', 'except', 'member', 'collection', 'concerns', 'shallow'], options)
+  const argsToApply = [name, routeOptions]
+  const withConcerns = (key: string, ownRoutes: Array<mixed>): Array<any> =>
+    R.concat(ownRoutes, R.chain(R.prop(key), concerns))
+  const allNestedRoutes = withConcerns('routes', R.defaultTo([], nestedRoutes))
 
   return R.pipe(
-    R.unless(R.isEmpty, R.pick)(only),
+    R.pick(only),
     R.omit(except),
     R.values,
-    R.map(R.apply(R.__, argsToApply))
+    R.map(R.apply(R.__, argsToApply)),
+    R.concat(R.map(collectionRoute(name, routeOptions), withConcerns('collection', R.propOr([], 'collection', options)))),
+    R.concat(R.__, R.map(memberRoute(name, routeOptions), withConcerns('member', R.propOr([], 'member', options)))),
+    R.concat(R.__, R.propOr(false, 'shallow', options)
+      ? shallowNestedRoutes(name, options, allNestedRoutes)
+      : namespace(nestedNamespace(name, options), allNestedRoutes)
+    )
   )(DEFAULT_RESOURCES)
 }
 
+/**
+ * Creates 4 endpoints for working with a singular resource, a resource that is only ever looked up
+ * without an id (e.g. the current user's profile or session):
+ *
+ *  + GET /api/v1/{name}     (handler = show)
+ *  + POST /api/v1/{name}    (handler = create)
+ *  + PATCH /api/v1/{name}   (handler = update)
+ *  + DELETE /api/v1/{name}  (handler = destroy)
+ *
+ * The routes are handled by the pluralized controller module (e.g. `profiles`) and the show route is
+ * aliased with the singular name (e.g. `profile`).
+ *
+ * @memberof dsl/resources
+ * @function resource
+ * @static
+ * @param {string} name - The singular name of the resource to generate routes for.
+ * @param {ResourcesOptions} [options] - Additional resource options, if any. The `member`, `collection`, `concerns` and `shallow` options are ignored, the others apply to each route.
+ * @returns {Array.<Route>} - An array of Route definitions.
+ * @example
+ *
+ * > resource('profile', {only: ['show', 'update']})
+ * [
+ *   {handler: 'show', httpMethod: 'GET', path: 'profile', require: 'profiles', as: 'profile'},
+ *   {handler: 'update', httpMethod: 'PATCH', path: 'profile', require: 'profiles'}
+ * ]
+ */
+export const resource = (
+  name: string,
+  options?: ResourcesOptions
+): Array<Route> => {
+  const only = R.propOr(DEFAULT_RESOURCE_KEYS, 'only', options)
+  const except = R.propOr([], 'except', options)
+  const argsToApply = [name, R.omit(['only', 'except', 'member', 'collection', 'concerns', 'shallow'], options)]
+
+  return R.pipe(
+    R.pick(only),
+    R.omit(except),
+    R.values,
+    R.map(R.apply(R.__, argsToApply))
+  )(DEFAULT_RESOURCE)
+}
+
+/**
+ * Builds a Route definition acting on the resource collection, e.g. `GET /users/search`.
+ *
+ * @memberof dsl/resources
+ * @function collectionRoute
+ * @static
+ * @param {string} resourceName - The name of the resource.
+ * @param {RouteOptions} [options] - The RouteOptions object.
+ * @param {ResourceRouteDefinition} definition - The collection route definition.
+ * @returns {Route} - Route representing the collection endpoint for the given resource.
+ */
+export const collectionRoute = R.curry((
+  resourceName: string,
+  options?: RouteOptions,
+  definition: ResourceRouteDefinition
+): Route =>
+  route(
+    definition.httpMethod,
+    path.join(resourcePath(resourceName, options), definition.name),
+    resourceName,
+    R.propOr(definition.name, 'handler', definition),
+    R.merge(options, { as: `${definition.name}-${pluralize(resourcePath(resourceName, options))}` })
+  )
+)
+
 /**
  * Builds a create Route definition for the given resource.
  *
@@ -121,6 +275,117 @@ export const index = (resourceName: string, options?: RouteOptions): Route => {
   )
 }
 
+/**
+ * Builds a Route definition acting on a single resource, e.g. `POST /users/:id/activate`.
+ *
+ * @memberof dsl/resources
+ * @function memberRoute
+ * @static
+ * @param {string} resourceName - The name of the resource.
+ * @param {RouteOptions} [options] - The RouteOptions object.
+ * @param {ResourceRouteDefinition} definition - The member route definition.
+ * @returns {Route} - Route representing the member endpoint for the given resource.
+ */
+export const memberRoute = R.curry((
+  resourceName: string,
+  options?: RouteOptions,
+  definition: ResourceRouteDefinition
+): Route =>
+  route(
+    definition.httpMethod,
+    path.join(resourceIdPath(resourcePath(resourceName, options)), definition.name),
+    resourceName,
+    R.propOr(definition.name, 'handler', definition),
+    R.merge(options, { as: `${definition.name}-${singularize(resourcePath(resourceName, options))}` })
+  )
+)
+
+/**
+ * Builds the namespace definition used for routes nested under the given resource. The path is the
+ * resource's member path using a resource-specific id param (e.g. `users/:user_id`), the require path
+ * is the resource's controller folder and the alias is the singular resource path. Any resource
+ * middleware is inherited by the nested routes, and so is the `id` constraint, as the constraint of the
+ * resource-specific id param.
+ *
+ * @memberof dsl/resources
+ * @function nestedNamespace
+ * @static
+ * @param {string} resourceName - The name of the parent resource.
+ * @param {RouteOptions} [options] - The parent resource's RouteOptions object.
+ * @returns {NamespaceDefinition} - The namespace definition to apply to nested routes.
+ * @example
+ *
+ * > nestedNamespace('users')
+ * {path: 'users/:user_id', require: 'users', as: 'user'}
+ *
+ * > nestedNamespace('users', {as: 'friends'})
+ * {path: 'friends/:friend_id', require: 'users', as: 'friend'}
+ *
+ * > nestedNamespace('users', {constraints: {id: /\d+/}})
+ * {path: 'users/:user_id', require: 'users', as: 'user', constraints: {user_id: /\d+/}}
+ */
+export const nestedNamespace = (resourceName: string, options?: ResourcesOptions | RouteOptions): NamespaceDefinition => {
+  const singularPath = singularize(resourcePath(resourceName, options))
+  const idParam = resourceIdParam(singularPath)
+
+  return mergeIfPresent({
+    path: path.join(resourcePath(resourceName, options), `:${idParam}`),
+    require: resourceName,
+    as: singularPath
+  }, R.pipe(
+    R.defaultTo({}),
+    R.pick(['middleware', 'tags', 'deprecated', 'meta']),
+    R.when(
+      () => R.has('id', R.pathOr({}, ['constraints'], options)),
+      R.assoc('constraints', { [idParam]: R.path(['constraints', 'id'], options) })
+    )
+  )(options))
+}
+
+/**
+ * Builds the namespace definition used for the shallow routes nested under the given resource (see the `shallow`
+ * option of {@link dsl/resources.resources}). Like {@link dsl/resources.nestedNamespace}, except that the routes
+ * keep their own path and alias: only the require path, middleware and metadata of the parent apply.
+ *
+ * @memberof dsl/resources
+ * @function shallowNamespace
+ * @static
+ * @param {string} resourceName - The name of the parent resource.
+ * @param {RouteOptions} [options] - The parent resource's RouteOptions object.
+ * @returns {NamespaceDefinition} - The namespace definition to apply to the shallow nested routes.
+ * @example
+ *
+ * > shallowNamespace('projects', {middleware: [authenticate]})
+ * {path: '', require: 'projects', middleware: [authenticate]}
+ */
+export const shallowNamespace = (resourceName: string, options?: ResourcesOptions | RouteOptions): NamespaceDefinition =>
+  R.pipe(
+    R.omit(['as', 'constraints']),
+    R.assoc('path', '')
+  )(nestedNamespace(resourceName, options))
+
+/**
+ * Converts a singular resource name into the param name used to identify it in nested routes.
+ *
+ * @memberof dsl/resources
+ * @function resourceIdParam
+ * @static
+ * @param {string} singularName - The singular name of the resource.
+ * @returns {string} - The param name (without the leading colon).
+ * @example
+ *
+ * > resourceIdParam('user')
+ * 'user_id'
+ *
+ * > resourceIdParam('resource-with-hyphen')
+ * 'resource_with_hyphen_id'
+ */
+export const resourceIdParam = (singularName: string): string =>
+  R.pipe(
+    R.replace(/[^a-zA-Z0-9_]+/g, '_'),
+    R.concat(R.__, '_id')
+  )(singularName)
+
 /**
  * pathJoiner with ':id' partiall applied as the second argument.
  *
@@ -149,7 +414,7 @@ export const resourceIdPath: (path: string) => string =
  * @returns {string} - options.as || resourceName
  *
  */
-export const resourcePath = (resourceName: string, options?: RouteOptions): string =>
+export const resourcePath = (resourceName: string, options?: ResourcesOptions | RouteOptions): string =>
   R.propOr(
     resourceName,
     'as',
@@ -218,4 +483,75 @@ export const DEFAULT_RESOURCES = {
  */
 const DEFAULT_RESOURCES_KEYS = R.keys(DEFAULT_RESOURCES)
 
+/**
+ * Partially applies a route building function for a singular resource's endpoint. The returned
+ * function takes the resource name and options, requiring the resource's pluralized controller.
+ *
+ * @memberof dsl/resources
+ * @function singularResourceRoute
+ * @private
+ * @param {function} routeBuilder - The http route building function, e.g. {@link dsl/http.get}.
+ * @param {string} handler - The name of the handler function.
+ * @returns {function} - Function taking the resource name and RouteOptions, returning the Route.
+ */
+const singularResourceRoute = R.curryN(3, (
+  routeBuilder: Function,
+  handler: string,
+  resourceName: string,
+  options?: RouteOptions
+): Route =>
+  routeBuilder(
+    resourcePath(resourceName, options),
+    pluralize(resourceName),
+    handler,
+    R.omit([ 'as' ], options)
+  )
+)
+
+/**
+ * @memberof dsl/resources
+ * @constant
+ * @private
+ * @type {Object.<string, function>}
+ */
+export const DEFAULT_RESOURCE = {
+  create: singularResourceRoute(post, 'create'),
+  destroy: singularResourceRoute(httpDelete, 'destroy'),
+  show: (resourceName: string, options?: RouteOptions): Route =>
+    get(
+      resourcePath(resourceName, options),
+      pluralize(resourceName),
+      'show',
+      R.merge(options, { as: singularize(resourcePath(resourceName, options)) })
+    ),
+  update: singularResourceRoute(patch, 'update')
+}
+
+/**
+ * @memberof dsl/resources
+ * @constant
+ * @private
+ * @type {Array.<string>}
+ */
+const DEFAULT_RESOURCE_KEYS = R.keys(DEFAULT_RESOURCE)
+
 const singularize = R.partialRight(pluralize, [1])
+
+const isShallowRoute = (nestedRoute: Route): boolean =>
+  R.any(
+    (name: string) => name === 'id' || R.test(/_id$/, name),
+    R.pluck('name', pathParams(nestedRoute.path))
+  )
+
+const shallowNestedRoutes = (
+  resourceName: string,
+  options?: ResourcesOptions,
+  nestedRoutes: Array<Route | Array<Route>>
+): Array<Route> => {
+  const [shallowRoutes, collectionRoutes] = R.partition(isShallowRoute, R.flatten(nestedRoutes))
+
+  return R.concat(
+    namespace(nestedNamespace(resourceName, options), collectionRoutes),
+    namespace(shallowNamespace(resourceName, options), shallowRoutes)
+  )
+}
@@ -0,0 +1,191 @@
+/* @flow */
+/** @namespace hot-reload */
+
+import express from 'express'
+import fs from 'fs'
+import R from 'ramda'
+import { describeRoute } from '~/src/conflicts'
+import { type RouteModuleTuple, type RouteRegistrar, type Router } from '~/src/router'
+
+/**
+ * @typedef {Object} HotReloadOptions
+ * @memberof hot-reload
+ * @property {string} routesFile - The absolute path of the routes file, which must export a `resolve` function like the files given to the `flauta` printer.
+ * @property {Object} [logger] - Logs the reloads with `log` and the reload and watch failures with `error`. Defaults to the console.
+ * @property {function} [watch] - Watches a file, calling the listener on changes. Defaults to `fs.watch`.
+ * @property {function} [requireModule] - Requires the routes file. Defaults to `require`.
+ * @property {function} [resolveModule] - Resolves the file path of a module. Defaults to `require.resolve`.
+ * @property {Object} [requireCache] - The require cache to clear the changed modules from. Defaults to `require.cache`.
+ * @property {number} [debounce] - Milliseconds to wait for the file changes to settle before reloading, as a single save usually triggers several change events. Defaults to 100.
+ */
+export type HotReloadOptions = {|
+  routesFile: string,
+  logger?: { log: (message: string) => void, error: (message: string) => void },
+  watch?: (path: string, listener: () => void) => { close: () => void },
+  requireModule?: (path: string) => Object,
+  resolveModule?: (path: string) => string,
+  requireCache?: { [path: string]: mixed },
+  debounce?: number
+|}
+
+/**
+ * @typedef {Object} HotReloader
+ * @memberof hot-reload
+ * @property {function} router - Returns the router currently serving requests.
+ * @property {function} reload - Reloads the routes file right away, optionally given the path of the changed file to log.
+ * @property {function} close - Stops watching the files.
+ */
+export type HotReloader = {|
+  router: () => Router,
+  reload: (changedPath?: string) => Router,
+  close: () => void
+|}
+
+/**
+ * The development mode of {@link router.register}, used with its `hotReload` option. Registers the routes with the
+ * given registrar on an `express.Router` installed behind a single swappable middleware, and watches the routes file
+ * and the route modules. Once they stop changing for the `debounce` delay they are all cleared from the require
+ * cache, the routes file is resolved again and its routes are registered on a new `express.Router` which replaces
+ * the previous one. The previous routes keep serving requests if the new ones can't be resolved, have invalid routes
+ * or fail to register.
+ *
+ * @memberof hot-reload
+ * @function registerHotReload
+ * @static
+ * @param {Object} app - The express application to install the middleware on.
+ * @param {Router} router - The resolved router to serve until the first reload.
+ * @param {RouteRegistrar} expressRouteRegistrar - Registers each route, see {@link router.registerExpressRoute}.
+ * @param {HotReloadOptions} options
+ * @returns {HotReloader}
+ */
+export const registerHotReload = (
+  app: express$Application,
+  router: Router,
+  expressRouteRegistrar: RouteRegistrar,
+  options: HotReloadOptions
+): HotReloader => {
+  const {
+    routesFile,
+    logger = console,
+    watch = fs.watch,
+    requireModule = require,
+    resolveModule = require.resolve,
+    requireCache = require.cache,
+    debounce = 100
+  } = options
+
+  const resolveRoutesFile = (): Router => requireModule(routesFile).resolve()
+  const registerRoutes = (registeredRouter: Router): express$Router => {
+    const expressRouter = express.Router()
+    R.forEach(expressRouteRegistrar(expressRouter), registeredRouter.routes)
+    return expressRouter
+  }
+  const watchedFiles = (watchedRouter: Router): Array<string> =>
+    R.pipe(
+      R.concat(R.__, R.defaultTo([], watchedRouter.invalidRoutes)),
+      R.reject(R.either(R.isNil, R.pipe(R.head, R.either(R.has('redirect'), R.has('mount'))))),
+      R.map(R.tryCatch(R.pipe(R.path([0, 'require']), resolveModule), R.always(null))),
+      R.reject(R.isNil),
+      R.prepend(routesFile),
+      R.uniq
+    )(watchedRouter.routes)
+
+  let current: Router = router
+  let routes: express$Router = registerRoutes(router)
+  let watchers = []
+  let pendingReload = null
+
+  const watchFile = (file: string): ?{ close: () => void } =>
+    R.tryCatch(
+      () => watch(file, () => { scheduleReload(file) }),
+      (error: Error) => {
+        logger.error(`[flauta] Could not watch ${file}, its changes won't reload the routes: ${error.message}`)
+        return null
+      }
+    )()
+
+  const watchFiles = (): void => {
+    R.forEach((watcher) => watcher.close(), watchers)
+    watchers = R.reject(R.isNil, R.map(watchFile, watchedFiles(current)))
+  }
+
+  const scheduleReload = (changedPath: string): void => {
+    clearTimeout(pendingReload)
+    pendingReload = setTimeout(() => {
+      pendingReload = null
+      reload(changedPath)
+    }, debounce)
+  }
+
+  const reload = (changedPath?: string): Router => {
+    const changedDescription = R.isNil(changedPath) ? 'Reloading' : `${String(changedPath)} changed`
+    R.forEach((file: string) => { delete requireCache[file] }, watchedFiles(current))
+
+    const reloaded = R.tryCatch(resolveRoutesFile, R.identity)()
+    if (reloaded instanceof Error) {
+      logger.error(`[flauta] ${changedDescription}, kept the previous routes: ${reloaded.message}`)
+      return current
+    }
+
+    const invalidRoutes = R.reject(R.isNil, R.defaultTo([], reloaded.invalidRoutes))
+    if (!R.isEmpty(invalidRoutes)) {
+      logger.error(
+        `[flauta] ${changedDescription}, kept the previous routes because of ${R.length(invalidRoutes)} invalid route(s): ` +
+        R.join(', ', R.map(describeInvalidRoute, invalidRoutes))
+      )
+      return current
+    }
+
+    const reloadedRoutes = R.tryCatch(registerRoutes, R.identity)(reloaded)
+    if (reloadedRoutes instanceof Error) {
+      logger.error(`[flauta] ${changedDescription}, kept the previous routes: ${reloadedRoutes.message}`)
+      return current
+    }
+
+    logger.log(`[flauta] ${changedDescription}, reloaded the routes${describeRouteChanges(current, reloaded)}`)
+    current = reloaded
+    routes = reloadedRoutes
+    watchFiles()
+    return current
+  }
+
+  watchFiles()
+  app.use((req: Object, res: Object, next: (error?: mixed) => void): void => routes(req, res, next))
+
+  return {
+    router: () => current,
+    reload,
+    close: () => {
+      clearTimeout(pendingReload)
+      R.forEach((watcher) => watcher.close(), watchers)
+      watchers = []
+    }
+  }
+}
+
+/**
+ * Describes the routes added and removed between two routers, e.g. ` (added GET /users/search, removed DELETE /users/:id)`.
+ *
+ * @memberof hot-reload
+ * @function describeRouteChanges
+ * @static
+ * @param {Router} previousRouter
+ * @param {Router} nextRouter
+ * @returns {string} - The description, empty if no routes were added or removed.
+ */
+export const describeRouteChanges = (previousRouter: Router, nextRouter: Router): string => {
+  const previousRoutes = describeRoutes(previousRouter)
+  const nextRoutes = describeRoutes(nextRouter)
+  const changes = R.reject(R.isEmpty, [
+    R.unless(R.isEmpty, R.pipe(R.join(', '), R.concat('added ')), R.difference(nextRoutes, previousRoutes)),
+    R.unless(R.isEmpty, R.pipe(R.join(', '), R.concat('removed ')), R.difference(previousRoutes, nextRoutes))
+  ])
+
+  return R.isEmpty(changes) ? '' : ` (${R.join(', ', changes)})`
+}
+
+const describeRoutes = (router: Router): Array<string> =>
+  R.map(R.pipe(R.head, describeRoute), R.reject(R.isNil, router.routes))
+
+const describeInvalidRoute = ([route, error]: RouteModuleTuple): string =>
+  `${describeRoute(route)} (${R.propOr('', 'message', error)})`
@@ -1,6 +1,10 @@
 /* @flow */
 
-export { register, resolve } from '~/src/router'
-export { namespace } from '~/src/dsl'
-export { destroy, get, head, patch, post, put, route } from '~/src/dsl/http'
-export { resources } from '~/src/dsl/resources'
+export { pathHelpersFlowDeclarations, pathHelpersModule, pathHelpersTypeScriptDeclarations } from '~/src/codegen'
+export { dispatcher } from '~/src/dispatcher'
+export { openApiDocument } from '~/src/openapi'
+export { recognize, register, registerKoa, resolve } from '~/src/router'
+export { mount, namespace } from '~/src/dsl'
+export { concern } from '~/src/dsl/concerns'
+export { destroy, get, head, patch, post, put, redirect, route } from '~/src/dsl/http'
+export { resource, resources } from '~/src/dsl/resources'
@@ -0,0 +1,456 @@
+/* @flow */
+/** @namespace matcher */
+
+import R from 'ramda'
+import { type HTTPMethod, type RouteConstraints } from '~/src/dsl/http'
+import { mergeIfPresent } from '~/src/ramda-extensions'
+
+/**
+ * @typedef {Object} CompiledPath
+ * @memberof matcher
+ * @property {Array.<string>} keys - The names of the params in the path, in the order they appear.
+ * @property {RegExp} regexp - Regular expression matching normalized URL paths, capturing each param value.
+ * @property {RouteConstraints} [constraints] - Regular expressions the captured param values must match.
+ */
+export type CompiledPath = {|
+  keys: Array<string>,
+  regexp: RegExp,
+  constraints?: RouteConstraints
+|}
+
+/**
+ * @typedef {Object.<string, string>} PathParams
+ * @memberof matcher
+ * @description Object where keys are param names and values are the decoded values extracted from a URL path.
+ */
+export type PathParams = { [string]: string }
+
+/**
+ * @typedef {Object} PathToken
+ * @memberof matcher
+ * @property {string} type - Either `static` (plain text), `param` (a `:name` param matching a single segment),
+ * `splat` (a `*name` param matching one or more segments) or `optional` (a parenthesized group of tokens).
+ * @property {string} [value] - The text of static tokens.
+ * @property {string} [name] - The name of param and splat tokens.
+ * @property {Array.<PathToken>} [tokens] - The tokens of optional groups.
+ */
+export type PathToken =
+  {| type: 'static', value: string |}
+  | {| type: 'param', name: string |}
+  | {| type: 'splat', name: string |}
+  | {| type: 'optional', tokens: Array<PathToken> |}
+
+/**
+ * @typedef {Object} PathParam
+ * @memberof matcher
+ * @property {string} name - The name of the param.
+ * @property {boolean} optional - Whether the param is part of an optional group.
+ * @property {boolean} splat - Whether the param is a splat, matching one or more segments.
+ */
+export type PathParam = {|
+  name: string,
+  optional: bool,
+  splat: bool
+|}
+
+// The generated path helpers module embeds a dependency-free copy of this parser (PATH_HELPERS_RUNTIME in
+// src/codegen.js), mirror any change to the path syntax there.
+/**
+ * Parses a route path into its tokens. Route paths are made of static text, `:name` params matching a single
+ * segment (or the part of a segment before a `.`, as in `:id.:format`), `*name` splats matching one or more
+ * segments and parenthesized optional groups, e.g. `posts(/:page)`, `files/*path` and `users/:id(.:format)`.
+ *
+ * @memberof matcher
+ * @function parsePath
+ * @static
+ * @param {string} routePath - The route path.
+ * @returns {Array.<PathToken>}
+ * @example
+ *
+ * > parsePath('users/:id(.:format)')
+ * [
+ *   {type: 'static', value: 'users/'},
+ *   {type: 'param', name: 'id'},
+ *   {type: 'optional', tokens: [{type: 'static', value: '.'}, {type: 'param', name: 'format'}]}
+ * ]
+ */
+export const parsePath = (routePath: string): Array<PathToken> =>
+  R.pipe(
+    R.match(PATH_TOKEN_PATTERN),
+    R.reduce(
+      (groups: Array<Array<PathToken>>, part: string) => {
+        if (part === '(') {
+          return R.append([], groups)
+        }
+
+        return part === ')' && groups.length > 1
+          ? closeOptionalGroup(groups)
+          : R.adjust(R.append(partToken(part)), groups.length - 1, groups)
+      },
+      [[]]
+    ),
+    R.until((groups: Array<Array<PathToken>>) => groups.length === 1, closeOptionalGroup),
+    R.head
+  )(routePath)
+
+/**
+ * Lists the params of a route path, in the order they appear.
+ *
+ * @memberof matcher
+ * @function pathParams
+ * @static
+ * @param {string} routePath - The route path.
+ * @returns {Array.<PathParam>}
+ * @example
+ *
+ * > pathParams('files/*path(.:format)')
+ * [{name: 'path', optional: false, splat: true}, {name: 'format', optional: true, splat: false}]
+ */
+export const pathParams = (routePath: string): Array<PathParam> =>
+  tokenParams(false, parsePath(routePath))
+
+/**
+ * Expands the optional groups of a route path into the list of route paths it stands for, from the path with
+ * every optional group to the path without any.
+ *
+ * @memberof matcher
+ * @function expandOptionalSegments
+ * @static
+ * @param {string} routePath - The route path.
+ * @returns {Array.<string>} - The route paths without optional groups.
+ * @example
+ *
+ * > expandOptionalSegments('posts(/:year(/:month))')
+ * ['posts/:year/:month', 'posts/:year', 'posts']
+ */
+export const expandOptionalSegments = (routePath: string): Array<string> =>
+  expandTokens(
+    (token: PathToken) => token.type === 'splat' ? `*${token.name}` : token.type === 'param' ? `:${token.name}` : '',
+    parsePath(routePath)
+  )
+
+/**
+ * Converts a route path into the Express (and koa-router) path syntax. Optional groups are expanded into one
+ * path per combination, splats become `:name(.+)` params and constrained params get an Express style
+ * `:name(pattern)` pattern (see {@link matcher.expressParamPattern}), so that Express only matches the param
+ * values satisfying the constraint. Throws for the constraints which can't be converted into such a pattern.
+ *
+ * @memberof matcher
+ * @function expressPaths
+ * @static
+ * @param {string} routePath - The route path, e.g. `users/:id`.
+ * @param {RouteConstraints} [constraints] - The route's param constraints, if any.
+ * @returns {Array.<string>} - The Express paths, from the path with every optional group to the path without any.
+ * @example
+ *
+ * > expressPaths('users/:id', {id: /^\d+$/})
+ * ['users/:id(\\d+)']
+ *
+ * > expressPaths('files/*path(.:format)')
+ * ['files/:path(.+).:format', 'files/:path(.+)']
+ */
+export const expressPaths = (routePath: string, constraints?: ?RouteConstraints): Array<string> => {
+  const patterns = R.mapObjIndexed(
+    (constraint: RegExp, param: string) => expressParamPattern(param, constraint),
+    R.pick(R.pluck('name', pathParams(routePath)), R.defaultTo({}, constraints))
+  )
+
+  return expandTokens(
+    (token: PathToken) => {
+      if (token.type === 'splat') {
+        return `:${token.name}(${R.propOr('.+', token.name, patterns)})`
+      }
+
+      return token.type === 'param' && R.has(token.name, patterns)
+        ? `:${token.name}(${patterns[token.name]})`
+        : token.type === 'param' ? `:${token.name}` : ''
+    },
+    parsePath(routePath)
+  )
+}
+
+/**
+ * Converts a param constraint into the pattern of an Express (and koa-router) style `:name(pattern)` param,
+ * without its leading `^` and trailing `$` anchors. Throws for the constraints these patterns can't express
+ * like {@link matcher.matchConstraint} does: those with flags (besides `g` and `y`), groups (including
+ * lookarounds) or other anchors.
+ *
+ * @memberof matcher
+ * @function expressParamPattern
+ * @static
+ * @param {string} param - The name of the constrained param, for the error message.
+ * @param {RegExp} constraint - The param constraint.
+ * @returns {string} - The param pattern.
+ * @example
+ *
+ * > expressParamPattern('id', /^\d+$/)
+ * '\\d+'
+ *
+ * > expressParamPattern('name', /abc/i)
+ * // throws Error('Unsupported constraint /abc/i for :name, Express and koa-router param patterns can\'t have flags')
+ */
+export const expressParamPattern = R.curry((param: string, constraint: RegExp): string => {
+  const atoms = R.pipe(
+    R.match(CONSTRAINT_ATOM_PATTERN),
+    R.when(R.pipe(R.head, R.equals('^')), R.tail),
+    R.when(R.pipe(R.last, R.equals('$')), R.init)
+  )(constraint.source)
+  const unsupported = !R.isEmpty(R.replace(/[gy]/g, '', constraint.flags))
+    ? 'flags'
+    : R.any(R.contains(R.__, ['(', ')']), atoms)
+      ? 'groups'
+      : R.any(R.contains(R.__, ['^', '$']), atoms) ? 'anchors other than a leading ^ and a trailing $' : null
+
+  if (unsupported) {
+    throw new Error(`Unsupported constraint ${String(constraint)} for :${param}, Express and koa-router param patterns can't have ${unsupported}`)
+  }
+
+  return R.join('', atoms)
+})
+
+/**
+ * Compiles a route path into a regular expression which matches URL paths for that route, capturing the
+ * values of each param (see {@link matcher.parsePath}). Params with a constraint only match values matching
+ * the whole constraint.
+ *
+ * @memberof matcher
+ * @function compilePath
+ * @static
+ * @param {string} routePath - The route path, e.g. `users/:user_id/todos/:id`.
+ * @param {RouteConstraints} [constraints] - The route's param constraints, if any.
+ * @returns {CompiledPath}
+ * @example
+ *
+ * > compilePath('users/:id')
+ * {keys: ['id'], regexp: /^\/users\/([^\/]+?)$/}
+ *
+ * > compilePath('users/:id', {id: /\d+/})
+ * {keys: ['id'], regexp: /^\/users\/([^\/]+?)$/, constraints: {id: /\d+/}}
+ *
+ * > compilePath('files/*path(.:format)')
+ * {keys: ['path', 'format'], regexp: /^\/files\/(.+?)(?:\.([^\/.]+?))?$/}
+ */
+export const compilePath = (routePath: string, constraints?: ?RouteConstraints): CompiledPath => {
+  const tokens = parsePath(normalizePath(routePath))
+
+  return mergeIfPresent({
+    keys: R.pluck('name', tokenParams(false, tokens)),
+    regexp: new RegExp(`^${tokensRegExpSource(tokens)}$`)
+  }, R.isNil(constraints) ? null : { constraints })
+}
+
+/**
+ * Compiles the path of a mounted application (see {@link dsl.mount}) like {@link matcher.compilePath}, except that
+ * the regular expression also matches the URL paths under it.
+ *
+ * @memberof matcher
+ * @function compileMountPath
+ * @static
+ * @param {string} routePath - The mount path, e.g. `admin`.
+ * @param {RouteConstraints} [constraints] - The route's param constraints, if any.
+ * @returns {CompiledPath}
+ * @example
+ *
+ * > compileMountPath('admin')
+ * {keys: [], regexp: /^\/admin(?=\/|$)/}
+ *
+ * > compileMountPath('/')
+ * {keys: [], regexp: /^(?=\/|$)/}
+ */
+export const compileMountPath = (routePath: string, constraints?: ?RouteConstraints): CompiledPath => {
+  const compiledPath = compilePath(routePath, constraints)
+  return R.assoc('regexp', new RegExp(R.replace(/(\\\/)?\$$/, () => '(?=\\/|$)', compiledPath.regexp.source)), compiledPath)
+}
+
+/**
+ * Whether a value satisfies a param constraint. The whole value must match the constraint.
+ *
+ * @memberof matcher
+ * @function matchConstraint
+ * @static
+ * @param {RegExp} constraint - The param constraint.
+ * @param {string} value - The param value.
+ * @returns {boolean}
+ * @example
+ *
+ * > matchConstraint(/\d+/, '12')
+ * true
+ *
+ * > matchConstraint(/\d+/, '12a')
+ * false
+ */
+export const matchConstraint = R.curry((constraint: RegExp, value: string): bool =>
+  new RegExp(`^(?:${constraint.source})$`, R.replace(/[gy]/g, '', constraint.flags)).test(value)
+)
+
+/**
+ * Matches a URL path against a compiled route path, returning the decoded param values when it matches.
+ *
+ * @memberof matcher
+ * @function matchCompiledPath
+ * @static
+ * @param {CompiledPath} compiledPath - The compiled route path.
+ * @param {string} urlPath - The URL path to match, without any query string.
+ * @returns {?PathParams} - The extracted params, or null if the URL path does not match (or can not be decoded, or
+ * a param value does not satisfy its constraint).
+ */
+export const matchCompiledPath = R.curry((
+  compiledPath: CompiledPath,
+  urlPath: string
+): ?PathParams =>
+  R.tryCatch(
+    R.pipe(
+      normalizePath,
+      (path: string) => compiledPath.regexp.exec(path),
+      R.unless(
+        R.isNil,
+        R.pipe(R.tail, R.map(R.unless(R.isNil, decodeURIComponent)), R.zipObj(compiledPath.keys), R.reject(R.isNil))
+      ),
+      R.unless(
+        R.either(R.isNil, satisfiesConstraints(R.defaultTo({}, compiledPath.constraints))),
+        R.always(null)
+      )
+    ),
+    R.always(null)
+  )(urlPath)
+)
+
+/**
+ * Whether a route registered under the route HTTP method handles requests with the request HTTP method.
+ * HEAD requests are handled by GET routes, and every request by `ALL` routes.
+ *
+ * @memberof matcher
+ * @function matchHttpMethod
+ * @static
+ * @param {string} requestMethod - The request's HTTP method (case insensitive).
+ * @param {HTTPMethod} routeMethod - The route's HTTP method.
+ * @returns {boolean}
+ * @example
+ *
+ * > matchHttpMethod('get', 'GET')
+ * true
+ *
+ * > matchHttpMethod('HEAD', 'GET')
+ * true
+ *
+ * > matchHttpMethod('POST', 'ALL')
+ * true
+ */
+export const matchHttpMethod = R.curry((requestMethod: string, routeMethod: HTTPMethod): bool =>
+  routeMethod === 'ALL' ||
+    R.contains(routeMethod, R.toUpper(requestMethod) === 'HEAD' ? ['HEAD', 'GET'] : [R.toUpper(requestMethod)])
+)
+
+/**
+ * Matches a URL path against a route path, returning the decoded param values when it matches.
+ *
+ * @memberof matcher
+ * @function matchPath
+ * @static
+ * @param {string} routePath - The route path, e.g. `users/:id`.
+ * @param {string} urlPath - The URL path to match, without any query string.
+ * @returns {?PathParams} - The extracted params, or null if the URL path does not match.
+ * @example
+ *
+ * > matchPath('users/:user_id/todos/:id', '/users/1/todos/2')
+ * {user_id: '1', id: '2'}
+ *
+ * > matchPath('users/:id', '/todos/2')
+ * null
+ */
+export const matchPath = R.curry((routePath: string, urlPath: string): ?PathParams =>
+  matchCompiledPath(compilePath(routePath), urlPath)
+)
+
+/**
+ * Normalizes a path so that it has a single leading slash, no trailing slash and no empty segments.
+ *
+ * @memberof matcher
+ * @function normalizePath
+ * @static
+ * @param {string} path - The path to normalize.
+ * @returns {string} - The normalized path.
+ * @example
+ *
+ * > normalizePath('api/v1/')
+ * '/api/v1'
+ *
+ * > normalizePath('')
+ * '/'
+ */
+export const normalizePath: (path: string) => string = R.pipe(
+  R.split('/'),
+  R.reject(R.isEmpty),
+  R.join('/'),
+  R.concat('/')
+)
+
+const PATH_TOKEN_PATTERN = /[()]|[:*][-\w]+|[^():*]+|[:*]/g
+
+// The escapes (e.g. `\d`), character classes (e.g. `[^/]`) and other characters of a regular expression source
+const CONSTRAINT_ATOM_PATTERN = /\\[\s\S]|\[(?:\\[\s\S]|[^\]\\])*\]|[\s\S]/g
+
+const partToken = (part: string): PathToken => {
+  if (R.test(/^:[-\w]/, part)) {
+    return { type: 'param', name: R.tail(part) }
+  }
+
+  return R.test(/^\*[-\w]/, part) ? { type: 'splat', name: R.tail(part) } : { type: 'static', value: part }
+}
+
+const closeOptionalGroup = (groups: Array<Array<PathToken>>): Array<Array<PathToken>> =>
+  R.adjust(R.append({ type: 'optional', tokens: R.last(groups) }), groups.length - 2, R.init(groups))
+
+const tokenParams = (optional: bool, tokens: Array<PathToken>): Array<PathParam> =>
+  R.chain(
+    (token: PathToken) => {
+      if (token.type === 'optional') {
+        return tokenParams(true, token.tokens)
+      }
+
+      return token.type === 'static' ? [] : [{ name: token.name, optional, splat: token.type === 'splat' }]
+    },
+    tokens
+  )
+
+const expandTokens = (formatParam: (token: PathToken) => string, tokens: Array<PathToken>): Array<string> =>
+  R.reduce(
+    (expansions: Array<string>, token: PathToken) => {
+      if (token.type === 'optional') {
+        const optionalExpansions = R.append('', expandTokens(formatParam, token.tokens))
+        return R.chain((expansion: string) => R.map(R.concat(expansion), optionalExpansions), expansions)
+      }
+
+      return R.map(R.concat(R.__, token.type === 'static' ? token.value : formatParam(token)), expansions)
+    },
+    [''],
+    tokens
+  )
+
+const tokensRegExpSource = (tokens: Array<PathToken>): string =>
+  R.join('', R.addIndex(R.map)(
+    (token: PathToken, index: number) => {
+      const previous = tokens[index - 1]
+
+      if (token.type === 'optional') {
+        return `(?:${tokensRegExpSource(token.tokens)})?`
+      } else if (token.type === 'splat') {
+        return '(.+?)'
+      } else if (token.type === 'param') {
+        return previous && previous.type === 'static' && R.test(/\.$/, previous.value) ? '([^/.]+?)' : '([^/]+?)'
+      }
+
+      return escapeRegExp(token.value)
+    },
+    tokens
+  ))
+
+const satisfiesConstraints = R.curry((constraints: RouteConstraints, params: PathParams): bool =>
+  R.all(
+    ([key: string, constraint: RegExp]) => !R.has(key, params) || matchConstraint(constraint, params[key]),
+    R.toPairs(constraints)
+  )
+)
+
+const escapeRegExp: (value: string) => string =
+  R.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
@@ -0,0 +1,162 @@
+/* @flow */
+/** @namespace openapi */
+
+import R from 'ramda'
+import { redirectTarget, type Route, type RouteConstraints } from '~/src/dsl/http'
+import { compilePath, expandOptionalSegments, normalizePath } from '~/src/matcher'
+import { type Router } from '~/src/router'
+
+/**
+ * @typedef {Object} OpenApiOptions
+ * @memberof openapi
+ * @property {string} [title] - The title of the API, defaults to `API`.
+ * @property {string} [version] - The version of the API, defaults to `1.0.0`.
+ * @property {Array.<object>} [servers] - The OpenAPI server objects, e.g. `[{url: 'https://api.example.com'}]`.
+ */
+export type OpenApiOptions = {|
+  title?: string,
+  version?: string,
+  servers?: Array<{ url: string, description?: string }>
+|}
+
+const OPENAPI_VERSION = '3.0.0'
+const PARAM_PATTERN = /[:*]([-\w]+)/g
+const JSON_MEDIA_TYPE = 'application/json'
+
+/**
+ * Builds an OpenAPI 3 document skeleton from the valid routes of a resolved router. Each route becomes an
+ * operation under its path, with its params and splats as path parameters. Any `summary`, `description`, `tags`,
+ * `deprecated`, `requestSchema` and `responseSchema` given to the route are added to the operation. OpenAPI has
+ * no optional path parameters, so routes with optional groups become an operation per expanded path (see
+ * {@link matcher.expandOptionalSegments}), the operation ids of the shorter paths being suffixed with `-2`, `-3`...
+ * Redirect routes document their redirect status and target as their only response. Mounted applications are left out.
+ *
+ * @memberof openapi
+ * @function openApiDocument
+ * @static
+ * @param {Router} router - The resolved router.
+ * @param {OpenApiOptions} [options] - The document info and servers.
+ * @returns {object} - The OpenAPI document.
+ * @example
+ *
+ * > openApiDocument(resolve([get('users/:id', '/app/controllers/users', 'show', {as: 'user'})]))
+ * {
+ *   openapi: '3.0.0',
+ *   info: {title: 'API', version: '1.0.0'},
+ *   paths: {
+ *     '/users/{id}': {
+ *       get: {
+ *         operationId: 'user',
+ *         parameters: [{name: 'id', in: 'path', required: true, schema: {type: 'string'}}],
+ *         responses: {'200': {description: 'Successful response'}}
+ *       }
+ *     }
+ *   }
+ * }
+ */
+export const openApiDocument = R.curryN(1, (router: Router, options?: ?OpenApiOptions): Object => {
+  const { title = 'API', version = '1.0.0', servers } = R.defaultTo({}, options)
+
+  return R.pipe(
+    R.reject(R.isNil),
+    R.map(R.head),
+    R.reject(R.has('mount')),
+    R.chain((route: Route) => R.addIndex(R.map)(
+      (path: string, index: number) => [
+        route,
+        path,
+        R.evolve({ operationId: R.when(() => index > 0, R.concat(R.__, `-${index + 1}`)) }, routeToOperation(R.assoc('path', path, route)))
+      ],
+      expandOptionalSegments(route.path)
+    )),
+    R.reduce(
+      (paths: Object, [route: Route, path: string, operation: Object]) =>
+        R.assocPath([openApiPath(path), R.toLower(route.httpMethod)], operation, paths),
+      {}
+    ),
+    (paths: Object) => R.reject(R.isNil, {
+      openapi: OPENAPI_VERSION,
+      info: {title, version},
+      servers,
+      paths
+    })
+  )(router.routes)
+})
+
+/**
+ * Converts a route path to an OpenAPI path template.
+ *
+ * @memberof openapi
+ * @function openApiPath
+ * @static
+ * @param {string} routePath - The route path without optional groups, e.g. `users/:user_id/todos/:id`.
+ * @returns {string} - The OpenAPI path, e.g. `/users/{user_id}/todos/{id}`.
+ */
+export const openApiPath = (routePath: string): string =>
+  R.replace(PARAM_PATTERN, '{$1}', normalizePath(routePath))
+
+/**
+ * Builds the operation id of a route. Aliased routes use their alias, other routes use the handler name
+ * followed by the static segments of their path (e.g. `create-api-v1-users` for `POST /api/v1/users`).
+ *
+ * @memberof openapi
+ * @function operationId
+ * @static
+ * @param {Route} route
+ * @returns {string}
+ */
+export const operationId = (route: Route): string =>
+  R.defaultTo(
+    R.pipe(
+      R.split('/'),
+      R.reject(R.either(R.isEmpty, R.test(/^[:*]/))),
+      R.prepend(route.handler),
+      R.join('-')
+    )(R.head(expandOptionalSegments(route.path))),
+    route.as
+  )
+
+/**
+ * Builds the OpenAPI operation object of a route.
+ *
+ * @memberof openapi
+ * @function routeToOperation
+ * @static
+ * @param {Route} route
+ * @returns {object}
+ */
+export const routeToOperation = (route: Route): Object => {
+  const routeRedirect = route.redirect
+
+  return R.reject(R.either(R.isNil, R.isEmpty), {
+    operationId: operationId(route),
+    summary: route.summary,
+    description: route.description,
+    tags: route.tags,
+    deprecated: route.deprecated,
+    parameters: R.map(pathParameter(R.defaultTo({}, route.constraints)), compilePath(route.path).keys),
+    requestBody: R.unless(R.isNil, jsonContent, route.requestSchema),
+    responses: routeRedirect
+      ? {[String(routeRedirect.status)]: {description: `Redirect to ${redirectTarget(routeRedirect)}`}}
+      : {
+        '200': R.merge(
+          {description: 'Successful response'},
+          R.unless(R.isNil, jsonContent, route.responseSchema)
+        )
+      }
+  })
+}
+
+const pathParameter = R.curry((constraints: RouteConstraints, name: string): Object =>
+  ({
+    name,
+    in: 'path',
+    required: true,
+    schema: R.has(name, constraints)
+      ? {type: 'string', pattern: `^(?:${R.replace(/^\^|\$$/g, '', constraints[name].source)})$`}
+      : {type: 'string'}
+  })
+)
+
+const jsonContent = (schema: Object): Object =>
+  ({content: {[JSON_MEDIA_TYPE]: {schema}}})
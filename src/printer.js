@@ -0,0 +1,356 @@
+/* @flow */
+/** @namespace printer */
+
+import R from 'ramda'
+import { type RouteConflict } from '~/src/conflicts'
+import { redirectTarget, routeMetadata, type Route } from '~/src/dsl/http'
+import { type RouteModuleTuple, type Router } from '~/src/router'
+
+/**
+ * @typedef {string} OutputFormat
+ * @memberof printer
+ * @description One of `text`, `json`, `csv` or `tsv`.
+ */
+export type OutputFormat = 'text' | 'json' | 'csv' | 'tsv'
+
+/**
+ * @typedef {Object} RouteFilters
+ * @memberof printer
+ * @property {string} [verb] - Comma separated HTTP methods of the routes to keep.
+ * @property {string} [path] - Text contained in the route paths to keep, or a pattern with `*` wildcards they match.
+ * @property {string} [controller] - Text contained in the controller modules to keep, or a pattern with `*` wildcards they match.
+ * @property {string} [alias] - Text contained in the path helper names to keep, or a pattern with `*` wildcards they match.
+ * @property {string} [grep] - Case insensitive regular expression matching any printed column of the routes to keep.
+ */
+export type RouteFilters = {
+  verb?: string,
+  path?: string,
+  controller?: string,
+  alias?: string,
+  grep?: string
+}
+
+/**
+ * @typedef {Object} CheckResult
+ * @memberof printer
+ * @property {string} report - The report to print: the invalid routes and conflicts found, if any, and their count.
+ * @property {number} problems - The number of invalid routes and conflicts found.
+ */
+export type CheckResult = {|
+  report: string,
+  problems: number
+|}
+
+const FIELDS = ['as', 'httpMethod', 'path', 'require', 'handler']
+const FIELD_SEPARATOR_DISTANCE = 4
+const HEADERS = ['Path Helper', 'Verb', 'URI Pattern', 'Controller Module', 'Handler']
+const MIDDLEWARE_HEADER = 'Middleware'
+const METADATA_HEADERS = ['Tags', 'Description']
+const CONFLICT_HEADERS = ['Conflict', 'Description']
+const RECORD_HEADERS = R.concat(['Status'], R.concat(HEADERS, [MIDDLEWARE_HEADER, 'Tags', 'Deprecated', 'Description', 'Error']))
+const CSV_SPECIAL_CHARACTERS = /[",\r\n]/
+const TSV_SPECIAL_CHARACTERS = /[\t\r\n]/g
+
+/**
+ * The names of the {@link printer.RouteFilters}, which are also the names of the printer's filter options.
+ *
+ * @memberof printer
+ * @constant
+ * @type {Array.<string>}
+ */
+export const FILTER_OPTIONS = ['verb', 'path', 'controller', 'alias', 'grep']
+
+const middlewareNameList = (route: Route): Array<string> =>
+  R.pipe(
+    R.propOr([], 'middleware'),
+    R.map((middleware: Function) => middleware.name || '<anonymous>')
+  )(route)
+
+const middlewareNames = (route: Route): string =>
+  R.join(', ', middlewareNameList(route))
+
+const tagNames = (route: Route): string =>
+  R.join(', ', R.propOr([], 'tags', route))
+
+const routeDescription = (route: Route): string =>
+  R.join(' ', R.reject(R.isNil, [route.deprecated ? '(deprecated)' : null, route.description]))
+
+const routeController = (route: Route): string => {
+  const routeRedirect = route.redirect
+  const mounted = route.mount
+  if (routeRedirect) {
+    return `(redirect ${routeRedirect.status}) ${redirectTarget(routeRedirect)}`
+  }
+
+  return mounted ? `(mount) ${mounted.name || '<anonymous>'}` : route.require
+}
+
+const routeFields = R.curry((fields: Array<string>, route: Route): Array<string> =>
+  R.props(fields, R.assoc('require', routeController(route), route))
+)
+
+const routeRedirectRecord = (route: Route): Object =>
+  route.redirect
+    ? {redirect: R.assoc('to', redirectTarget(route.redirect), route.redirect)}
+    : {}
+
+const routeToPrintableProps = ([route: Route, _module: mixed]): Array<string> =>
+  R.concat(routeFields(FIELDS, route), [middlewareNames(route), tagNames(route), routeDescription(route)])
+
+const routeToPrintablePropsWithError = ([route: Route, error: mixed]): Array<string> =>
+  R.append(R.prop('message', error), routeFields(R.tail(FIELDS), route))
+
+const routeToRecord = ([route: Route, _module: mixed]): Object =>
+  R.pipe(
+    R.pick(FIELDS),
+    R.assoc('middleware', middlewareNameList(route)),
+    R.merge(R.__, routeMetadata(route)),
+    R.merge(R.__, routeRedirectRecord(route))
+  )(route)
+
+const invalidRouteToRecord = ([route: Route, error: mixed]): Object =>
+  R.mergeAll([R.pick(R.tail(FIELDS), route), routeRedirectRecord(route), {error: R.prop('message', error)}])
+
+const routeToDelimitedFields = (route: Route, status: string, errorMessage: string): Array<string> =>
+  R.flatten([
+    status,
+    routeFields(FIELDS, route),
+    middlewareNames(route),
+    tagNames(route),
+    route.deprecated ? 'true' : '',
+    R.defaultTo('', route.description),
+    errorMessage
+  ])
+
+const validRouteToDelimitedFields = ([route: Route, _module: mixed]): Array<string> =>
+  routeToDelimitedFields(route, 'valid', '')
+
+const invalidRouteToDelimitedFields = ([route: Route, error: mixed]): Array<string> =>
+  routeToDelimitedFields(route, 'invalid', R.prop('message', error))
+
+const globToRegExp = (glob: string): RegExp =>
+  R.pipe(
+    R.split('*'),
+    R.map(R.replace(/[.+?^${}()|[\]\\]/g, '\\$&')),
+    R.join('.*'),
+    (pattern) => new RegExp(`^${pattern}$`)
+  )(glob)
+
+const textMatcher = (pattern: string): (text: ?string) => boolean =>
+  R.pipe(
+    R.defaultTo(''),
+    R.contains('*', pattern) ? R.test(globToRegExp(pattern)) : R.contains(pattern)
+  )
+
+const routeSearchableFields = ([route: Route, moduleOrError: mixed]): Array<string> =>
+  R.pipe(
+    routeFields(FIELDS),
+    R.concat(R.__, [middlewareNames(route), tagNames(route), routeDescription(route)]),
+    R.concat(R.__, moduleOrError instanceof Error ? [moduleOrError.message] : []),
+    R.reject(R.isNil)
+  )(route)
+
+const ROUTE_FILTERS = {
+  verb: (verbs: string) =>
+    R.pipe(R.head, R.prop('httpMethod'), R.contains(R.__, R.split(',', R.toUpper(verbs)))),
+  path: (pattern: string) => R.pipe(R.head, R.prop('path'), textMatcher(pattern)),
+  controller: (pattern: string) => R.pipe(R.head, routeFields(['require']), R.head, textMatcher(pattern)),
+  alias: (pattern: string) => R.pipe(R.head, R.prop('as'), textMatcher(pattern)),
+  grep: (pattern: string) => R.pipe(routeSearchableFields, R.any(R.test(grepRegExp(pattern))))
+}
+
+const grepRegExp = (pattern: string): RegExp =>
+  R.tryCatch(
+    () => new RegExp(pattern, 'i'),
+    (error: Error) => { throw new Error(`Invalid --grep pattern '${pattern}': ${error.message}`) }
+  )()
+
+/**
+ * Builds the predicate keeping the route tuples (valid routes with their module, invalid routes with their
+ * error) which match all of the given filters. Throws an Error when the `grep` filter is not a valid regular
+ * expression.
+ *
+ * @memberof printer
+ * @function routeFilter
+ * @static
+ * @param {RouteFilters} filters - The filters to apply, other properties are ignored.
+ * @returns {function} - Predicate taking a route tuple.
+ * @example
+ *
+ * > R.filter(routeFilter({verb: 'get,post', path: '/api/*'}), router.routes)
+ * [[{handler: 'index', httpMethod: 'GET', path: '/api/v1/users', ...}, usersController], ...]
+ */
+export const routeFilter = (filters: RouteFilters): (routeTuple: [Route, mixed]) => boolean =>
+  R.pipe(
+    R.pick(FILTER_OPTIONS),
+    R.mapObjIndexed((pattern: string, option: string) => ROUTE_FILTERS[option](pattern)),
+    R.values,
+    R.allPass
+  )(filters)
+
+/**
+ * Curried function narrowing a resolved router down to the valid routes, invalid routes, path helpers and
+ * conflicts of the routes matching all of the given filters (see {@link printer.routeFilter}).
+ *
+ * @memberof printer
+ * @function filterRouter
+ * @static
+ * @param {RouteFilters} filters
+ * @param {Router} router
+ * @returns {Router}
+ */
+export const filterRouter = R.curry((filters: RouteFilters, router: Router): Router => {
+  const matchesFilters = routeFilter(filters)
+  const routes = R.filter(matchesFilters, router.routes)
+
+  return R.merge(router, {
+    routes,
+    invalidRoutes: R.filter(matchesFilters, R.defaultTo([], router.invalidRoutes)),
+    paths: R.pick(R.pluck('as', R.map(R.head, routes)), R.defaultTo({}, router.paths)),
+    conflicts: R.filter(
+      R.pipe(R.prop('routes'), R.any((route: Route) => matchesFilters([route, null]))),
+      R.defaultTo([], router.conflicts)
+    )
+  })
+})
+
+const escapeCsvField = (field: string): string =>
+  R.test(CSV_SPECIAL_CHARACTERS, field) ? `"${R.replace(/"/g, '""', field)}"` : field
+
+const escapeTsvField = (field: string): string =>
+  R.replace(TSV_SPECIAL_CHARACTERS, ' ', field)
+
+const computeMaxFieldSizes = (lines: Array<Array<string>>): Array<number> =>
+  R.pipe(
+    R.transpose,
+    R.map(R.reduce((fieldMaximum, field) => R.max(R.length(field || ''), fieldMaximum), 0))
+  )(lines)
+
+const formatField = ([size: number, field: string]): string => {
+  const padLength = R.add(FIELD_SEPARATOR_DISTANCE, R.defaultTo(0, size))
+  const padding = R.join('', R.repeat(' ', padLength))
+  return (R.defaultTo('', field) + padding).substring(0, padLength)
+}
+
+const formatLines = (lines: Array<Array<string>>): Array<string> =>
+  R.map(
+    R.pipe(R.zip(computeMaxFieldSizes(lines)), R.map(formatField), R.join('')),
+    lines
+  )
+
+const formatTable = (title: string, headers: Array<string>, rows: Array<Array<string>>): Array<string> =>
+  R.isEmpty(rows) ? [] : R.prepend(`[${title}]`, formatLines(R.prepend(headers, rows)))
+
+const formatRoutes = (routes: Array<?RouteModuleTuple>): Array<string> =>
+  formatTable(
+    'Valid Routes',
+    R.concat(HEADERS, R.prepend(MIDDLEWARE_HEADER, METADATA_HEADERS)),
+    R.map(routeToPrintableProps, R.reject(R.isNil, routes))
+  )
+
+const formatInvalidRoutes = (invalidRoutes?: Array<?RouteModuleTuple>): Array<string> =>
+  formatTable(
+    'Invalid Routes',
+    R.append('Error', R.tail(HEADERS)),
+    R.map(routeToPrintablePropsWithError, R.reject(R.isNil, R.defaultTo([], invalidRoutes)))
+  )
+
+const formatConflicts = (conflicts?: Array<RouteConflict>): Array<string> =>
+  formatTable('Conflicts', CONFLICT_HEADERS, R.map(R.props(['type', 'message']), R.defaultTo([], conflicts)))
+
+const formatRouterText = (router: Router): string =>
+  R.join('\n', R.unnest([
+    formatRoutes(router.routes),
+    formatInvalidRoutes(router.invalidRoutes),
+    formatConflicts(router.conflicts)
+  ]))
+
+const formatRouterJson = (router: Router): string =>
+  JSON.stringify({
+    routes: R.map(routeToRecord, R.reject(R.isNil, router.routes)),
+    invalidRoutes: R.map(invalidRouteToRecord, R.reject(R.isNil, R.defaultTo([], router.invalidRoutes))),
+    paths: R.sortBy(R.identity, R.keys(R.defaultTo({}, router.paths))),
+    conflicts: R.map(R.pick(['type', 'message']), R.defaultTo([], router.conflicts))
+  }, null, 2)
+
+const formatRouterDelimited = R.curry((separator: string, escapeField: (field: string) => string, router: Router): string =>
+  R.pipe(
+    R.reject(R.isNil),
+    R.map(validRouteToDelimitedFields),
+    R.concat(R.__, R.map(invalidRouteToDelimitedFields, R.reject(R.isNil, R.defaultTo([], router.invalidRoutes)))),
+    R.prepend(RECORD_HEADERS),
+    R.map(R.pipe(R.map(R.pipe(R.defaultTo(''), escapeField)), R.join(separator))),
+    R.join('\n')
+  )(router.routes)
+)
+
+const ROUTER_FORMATTERS = {
+  text: formatRouterText,
+  json: formatRouterJson,
+  csv: formatRouterDelimited(',', escapeCsvField),
+  tsv: formatRouterDelimited('\t', escapeTsvField)
+}
+
+/**
+ * The supported {@link printer.OutputFormat}s.
+ *
+ * @memberof printer
+ * @constant
+ * @type {Array.<string>}
+ */
+export const OUTPUT_FORMATS = R.keys(ROUTER_FORMATTERS)
+
+/**
+ * Curried function formatting the routes, invalid routes and conflicts of a resolved router for printing.
+ * The `text` format lays them out in aligned tables, the `json` format as an object of records and the `csv`
+ * and `tsv` formats as one record per valid and invalid route, preceded by a header line.
+ *
+ * @memberof printer
+ * @function formatRouter
+ * @static
+ * @param {OutputFormat} format
+ * @param {Router} router
+ * @returns {string}
+ * @example
+ *
+ * > console.log(formatRouter('csv', router))
+ * Status,Path Helper,Verb,URI Pattern,Controller Module,Handler,Middleware,Tags,Deprecated,Description,Error
+ * valid,users,GET,/users,/app/controllers/users,index,,,,,
+ */
+export const formatRouter = R.curry((format: OutputFormat, router: Router): string =>
+  ROUTER_FORMATTERS[format](router)
+)
+
+const pluralizeCount = (count: number, noun: string): string =>
+  `${count} ${noun}${count === 1 ? '' : 's'}`
+
+/**
+ * Checks that a resolved router has no invalid routes nor conflicts, for the printer's `check` command.
+ *
+ * @memberof printer
+ * @function checkRouter
+ * @static
+ * @param {Router} router
+ * @returns {CheckResult} - The report and the number of problems found, which the `check` command exits with a non-zero code for.
+ */
+export const checkRouter = (router: Router): CheckResult => {
+  const invalidRoutes = R.defaultTo([], router.invalidRoutes)
+  const conflicts = R.defaultTo([], router.conflicts)
+  const problems = R.length(invalidRoutes) + R.length(conflicts)
+
+  if (problems === 0) {
+    return {
+      report: `Checked ${pluralizeCount(R.length(router.routes), 'route')}, no invalid routes or conflicts found`,
+      problems
+    }
+  }
+
+  return {
+    report: R.join('\n', R.unnest([
+      formatInvalidRoutes(invalidRoutes),
+      formatConflicts(conflicts),
+      [`Found ${pluralizeCount(R.length(invalidRoutes), 'invalid route')} and ${pluralizeCount(R.length(conflicts), 'conflict')}`]
+    ])),
+    problems
+  }
+}
@@ -2,8 +2,15 @@
 /** @namespace router */
 
 import R from 'ramda'
+import querystring from 'querystring'
+import url from 'url'
 
-import { type Route } from '~/src/dsl/http'
+import { detectConflicts, type RouteConflict } from '~/src/conflicts'
+import { registerHotReload, type HotReloadOptions } from '~/src/hot-reload'
+import { routeMetadata, type Route, type RouteMetadata, type RouteRedirect } from '~/src/dsl/http'
+import { compileMountPath, compilePath, expressPaths, matchCompiledPath, matchConstraint, matchHttpMethod, parsePath, pathParams,
+  type PathParam, type PathParams, type PathToken } from '~/src/matcher'
+import { mergeIfPresent } from '~/src/ramda-extensions'
 
 /**
  * @typedef {function} PathHelpersBuilder
@@ -32,10 +39,27 @@ export type RouterPaths = {
 /**
  * @typedef {function} RoutePathGenerator
  * @memberof router
- * @param {Object.<string, string>} [properties]
- * @returns {string} - The path with any properties replaced with their values.
+ * @param {Object.<string, *>} [properties]
+ * @returns {string} - The path with any properties replaced with their values, followed by any query string and anchor.
  */
-export type RoutePathGenerator = (properties?: { [string]: string }) => string
+export type RoutePathGenerator = (properties?: ?{ [string]: mixed }) => string
+
+/**
+ * @typedef {Object} RecognizedRoute
+ * @memberof router
+ * @property {Route} route - The matching route.
+ * @property {Object.<string, string>} params - The params extracted from the URL path.
+ * @property {string} require - The require path of the route's controller module.
+ * @property {string} handler - The name of the route's handler function.
+ * @property {Object} routeModule - The required controller module.
+ */
+export type RecognizedRoute = {|
+  route: Route,
+  params: PathParams,
+  require: string,
+  handler: string,
+  routeModule: Object
+|}
 
 /**
  * @typedef {Object} Router
@@ -43,13 +67,78 @@ export type RoutePathGenerator = (properties?: { [string]: string }) => string
  * @property {Array.<?RouteModuleTuple>} routes - The computed routes that had a valid require path and exported handler.
  * @property {Array.<?RouteModuleTuple>} invalidRoutes - The routes that had a missing required module or exported handler.
  * @property {RouterPaths} [paths] - All of the path helper functions computed based on the valid routes.
+ * @property {RouterUrls} [urls] - All of the URL helper functions, keyed by the same aliases as the path helpers.
+ * @property {Array.<RouteConflict>} [conflicts] - Duplicate routes, duplicate aliases and unreachable routes found among the valid routes.
  */
 export type Router = {|
   routes: Array<?RouteModuleTuple>,
   invalidRoutes?: Array<?RouteModuleTuple>,
-  paths?: RouterPaths
+  paths?: RouterPaths,
+  urls?: RouterUrls,
+  conflicts?: Array<RouteConflict>
+|}
+
+/**
+ * @typedef {Object} ResolveOptions
+ * @memberof router
+ * @property {UrlOptions} [urlOptions] - The default protocol, host and port used by the URL helpers.
+ * @property {boolean} [lazy] - Only check that the controller modules exist, requiring them on the first request to each route
+ * (see {@link lazyRequireRouteModule}). Defaults to true when the `FLAUTA_LAZY_CONTROLLERS` environment variable is `true`.
+ */
+export type ResolveOptions = {|
+  urlOptions?: UrlOptions,
+  lazy?: boolean
+|}
+
+/**
+ * @typedef {Object} RegisterOptions
+ * @memberof router
+ * @property {HotReloadOptions} [hotReload] - Reloads the routes when the routes file or the controller modules change, for development (see {@link hot-reload.registerHotReload}).
+ */
+export type RegisterOptions = {|
+  hotReload?: ?HotReloadOptions
+|}
+
+/**
+ * @typedef {Object} UrlOptions
+ * @memberof router
+ * @property {string} [protocol] - The URL protocol, e.g. `https`. Defaults to `http`.
+ * @property {string} [host] - The URL host name, e.g. `api.example.com`. Required to build URLs.
+ * @property {(string|number)} [port] - The URL port. Omitted from URLs when it is the protocol's default port.
+ */
+export type UrlOptions = {|
+  protocol?: string,
+  host?: string,
+  port?: string | number
 |}
 
+/**
+ * @typedef {Object} RouterUrls
+ * @memberof router
+ * @description Object where keys are path aliases and values are {@link RouteUrlGenerator} functions.
+ */
+export type RouterUrls = {
+  [key: string]: RouteUrlGenerator
+}
+
+/**
+ * @typedef {function} RouteUrlGenerator
+ * @memberof router
+ * @param {Object.<string, *>} [properties] - The same properties as taken by the path helper.
+ * @param {UrlOptions} [urlOptions] - Overrides the default URL options given at resolve time.
+ * @returns {string} - The absolute URL.
+ */
+export type RouteUrlGenerator = (properties?: ?{ [string]: mixed }, urlOptions?: UrlOptions) => string
+
+/**
+ * @typedef {function} UrlHelpersBuilder
+ * @memberof router
+ * @param {RouterPaths} paths
+ * @param {UrlOptions} [defaultUrlOptions]
+ * @returns {RouterUrls}
+ */
+export type UrlHelpersBuilder = (paths: RouterPaths, defaultUrlOptions?: ?UrlOptions) => RouterUrls
+
 /**
  * @typedef {function} ModuleRequirer
  * @memberof router
@@ -91,17 +180,77 @@ export const buildPathHelpers = (
   pathBuilder?: (tuple: RouteModuleTuple) => RoutePathGenerator = routeModuleTupleToPathBuilder
 ): RouterPaths =>
   R.pipe(
-    R.map(R.head),
-    R.filter(R.has('as')),
-    R.indexBy(R.prop('as')),
+    R.filter(R.pipe(R.head, R.has('as'))),
+    R.indexBy(R.path([0, 'as'])),
     R.toPairs,
     R.map(R.adjust(pathBuilder, 1)),
     R.fromPairs
   )(routes)
 
+/**
+ * Takes the path helpers of a router and builds a URL helper function for each of them. URL helpers
+ * take the same properties as the path helpers, followed by optional {@link UrlOptions} which override
+ * the given defaults.
+ *
+ * @memberof router
+ * @function buildUrlHelpers
+ * @static
+ * @param {RouterPaths} paths - The path helpers, keyed by alias.
+ * @param {UrlOptions} [defaultUrlOptions] - The default protocol, host and port of the URLs.
+ * @returns {RouterUrls} - An object whose values are URL builder functions, keyed by the same aliases as the path helpers.
+ * @example
+ *
+ * const urls = buildUrlHelpers(router.paths, { host: 'example.com', protocol: 'https' })
+ * urls.user({ id: '123' }) // => 'https://example.com/users/123'
+ * urls.user({ id: '123' }, { host: 'api.example.com', port: 8443 }) // => 'https://api.example.com:8443/users/123'
+ */
+export const buildUrlHelpers = (
+  paths: RouterPaths,
+  defaultUrlOptions?: ?UrlOptions
+): RouterUrls =>
+  R.map(
+    (pathHelper: RoutePathGenerator): RouteUrlGenerator =>
+      (properties?: ?{ [string]: mixed }, urlOptions?: UrlOptions): string =>
+        buildUrl(mergeIfPresent(R.defaultTo({}, defaultUrlOptions), urlOptions), pathHelper(properties)),
+    paths
+  )
+
+/**
+ * Joins the protocol, host and port of the URL options with the given path. The port is omitted when it is
+ * the default port of the protocol.
+ *
+ * @memberof router
+ * @function buildUrl
+ * @static
+ * @param {UrlOptions} urlOptions - The protocol (default `http`), host (required) and port of the URL.
+ * @param {string} path - The URL path, e.g. as returned by a path helper.
+ * @returns {string} - The absolute URL.
+ * @example
+ *
+ * > buildUrl({ host: 'example.com' }, '/users')
+ * 'http://example.com/users'
+ *
+ * > buildUrl({ host: 'example.com', protocol: 'https', port: 8443 }, 'users')
+ * 'https://example.com:8443/users'
+ */
+export const buildUrl = R.curry((urlOptions: UrlOptions, path: string): string => {
+  if (R.isNil(urlOptions.host) || R.isEmpty(urlOptions.host)) {
+    throw new Error(`Missing the host to build the URL for path ${path}`)
+  }
+
+  const protocol = R.replace(/:?(\/\/)?$/, '', R.defaultTo('http', urlOptions.protocol))
+  const port = R.isNil(urlOptions.port) || R.contains(String(urlOptions.port), DEFAULT_PORTS[protocol] || [])
+    ? ''
+    : `:${String(urlOptions.port)}`
+
+  return `${protocol}://${String(urlOptions.host)}${port}${R.test(/^\//, path) ? path : `/${path}`}`
+})
+
 /**
  * Attempts to load the given routes with the given safe module requiring function. Returns a router
- * where the routes are subdivided into valid `routes` and `invalidRoutes`.
+ * where the routes are subdivided into valid `routes` and `invalidRoutes`. Redirect and mount routes don't require
+ * any module, see {@link redirectRouteModule} and {@link mountRouteModule}. Routes with constraints which can't be
+ * registered with Express and koa-router are invalid, see {@link matcher.expressParamPattern}.
  *
  * @memberof router
  * @function loadRoutes
@@ -116,7 +265,17 @@ export const loadRoutes = R.curryN(1, (
 ): Router =>
   R.pipe(
     R.flatten,
-    R.map(safeModuleRequirer),
+    R.map(R.tryCatch(
+      R.pipe(
+        R.tap((route: Route) => expressPaths(route.path, route.constraints)),
+        R.cond([
+          [R.has('redirect'), redirectRouteModule],
+          [R.has('mount'), mountRouteModule],
+          [R.T, safeModuleRequirer]
+        ])
+      ),
+      (error: Error, route: Route) => [route, error]
+    )),
     R.partition(R.pipe(R.last, R.is(Error), R.not)),
     R.applySpec({
       routes: R.head,
@@ -129,27 +288,53 @@ export const loadRoutes = R.curryN(1, (
  * Takes your express application and a built {@link Router} and registers each valid {@link Route}
  * with the correct express http verb function.
  *
+ * With the `hotReload` option the routes are registered the same way on an `express.Router` which is replaced
+ * by the routes of the reloaded routes file whenever it or a controller module changes, see
+ * {@link hot-reload.registerHotReload}.
+ *
  * @memberof router
  * @function register
  * @static
  * @param {Object} app - The express application to register routes against.
  * @param {Router} router
- * @param {RouteRegistrar} [expressRouteRegistrar] - A function that takes each route and registers it with express. You probably don't want to override this.
+ * @param {RouteRegistrar|RegisterOptions} [expressRouteRegistrar] - A function that takes each route and registers it with express. You probably don't want to override this. May be replaced by the register options.
+ * @param {RegisterOptions} [options] - Additional register options, if any.
  * @returns {Router} - The given router unchanged.
+ * @example
+ *
+ * flauta.register(app, resolve(), {
+ *   hotReload: process.env.NODE_ENV === 'development' ? { routesFile: require.resolve('./routes') } : null
+ * })
  */
 export const register = (
   app: express$Application,
   router: Router,
-  expressRouteRegistrar?: RouteRegistrar = registerExpressRoute
-): Router =>
-  R.over(
+  expressRouteRegistrar?: RouteRegistrar | ?RegisterOptions = registerExpressRoute,
+  options?: ?RegisterOptions
+): Router => {
+  if (typeof expressRouteRegistrar !== 'function') {
+    return register(app, router, registerExpressRoute, expressRouteRegistrar)
+  }
+
+  const hotReload = R.defaultTo({}, options).hotReload
+  if (hotReload) {
+    registerHotReload(app, router, expressRouteRegistrar, hotReload)
+    return router
+  }
+
+  return R.over(
     R.lensProp('routes'),
     R.map(expressRouteRegistrar(app)),
     router
   )
+}
 
 /**
- * Used by {@link register} to register each individual route with your express application.
+ * Used by {@link register} to register each individual route with your express application. The route path
+ * is converted by {@link matcher.expressPaths}, routes with optional groups being registered under the list of
+ * their expanded paths. Any middleware declared for the route is installed ahead of the handler. Routes with metadata (description,
+ * tags, deprecated or meta) expose it to the middleware and handler as `req.routeMetadata`. Mounted applications
+ * are installed with `app.use`.
  *
  * @memberof router
  * @function registerExpresssRoute
@@ -162,57 +347,220 @@ export const registerExpressRoute = R.curry((
   app: express$Application,
   [route: Route, routeModule: Object]
 ): RouteModuleTuple => {
-  const handler = R.either(
-    R.path(['default', route.handler]),
-    R.prop(route.handler)
-  )(routeModule)
+  const handler = routeModuleHandler(route, routeModule)
 
   if (R.isNil(handler)) {
     console.warn(`Route ${route.path} handler ${route.handler} not found for module ${route.require}`)
     return [route, routeModule]
   }
 
-  const expressHttpMethod = R.invoker(2, R.toLower(route.httpMethod))
-  expressHttpMethod(route.path, handler, app)
+  const expressArgs = R.pipe(
+    R.propOr([], 'middleware'),
+    prependMetadataMiddleware(route, (metadata: RouteMetadata) => (req: Object, res: Object, next: Function) => {
+      req.routeMetadata = metadata
+      next()
+    }),
+    R.prepend(expressRoutePath(route)),
+    R.append(handler)
+  )(route)
+  invokeHttpMethod(route.mount ? 'USE' : route.httpMethod, expressArgs, app)
 
   return [route, routeModule]
 })
 
 /**
- * Requires all of the routes and builds the path helpers for those that have aliases.
+ * Takes your koa-router instance and a built {@link Router} and registers each valid {@link Route}
+ * with the correct koa-router http verb function. Mount the koa-router on your Koa application as usual
+ * (e.g. `app.use(koaRouter.routes())`).
+ *
+ * @memberof router
+ * @function registerKoa
+ * @static
+ * @param {Object} koaRouter - The koa-router instance to register routes against.
+ * @param {Router} router
+ * @param {RouteRegistrar} [koaRouteRegistrar] - A function that takes each route and registers it with koa-router. You probably don't want to override this.
+ * @returns {Router} - The given router unchanged.
+ */
+export const registerKoa = (
+  koaRouter: Object,
+  router: Router,
+  koaRouteRegistrar?: RouteRegistrar = registerKoaRoute
+): Router =>
+  register(koaRouter, router, koaRouteRegistrar)
+
+/**
+ * Used by {@link registerKoa} to register each individual route with your koa-router, converting the route path
+ * like {@link registerExpressRoute}. Handlers (and any middleware) are Koa middleware functions taking `(ctx, next)`. Middleware declared for the route is
+ * composed ahead of the handler, followed by the handler itself or each function of an exported handler array.
+ * Aliased routes are registered as named koa-router routes so they also work with `koaRouter.url(alias)`. Routes with
+ * optional groups are registered once per expanded path, only the full path being named after the alias.
+ * Redirect routes respond by setting the Koa response status and `Location` header. Mounted Koa middleware (e.g. the
+ * `routes()` of another koa-router) is installed with `koaRouter.use`.
+ * Routes with metadata (description, tags, deprecated or meta) expose it as `ctx.state.routeMetadata`.
+ *
+ * @memberof router
+ * @function registerKoaRoute
+ * @static
+ * @param {Object} koaRouter - The koa-router instance to register the route against.
+ * @param {RouteModuleTuple} routeModuleTuple
+ * @returns {RouteModuleTuple} - The tuple unmodified.
+ */
+export const registerKoaRoute = R.curry((
+  koaRouter: Object,
+  [route: Route, routeModule: Object]
+): RouteModuleTuple => {
+  const handler = route.redirect ? koaRedirectHandler(route.redirect) : routeModuleHandler(route, routeModule)
+
+  if (R.isNil(handler)) {
+    console.warn(`Route ${route.path} handler ${route.handler} not found for module ${route.require}`)
+    return [route, routeModule]
+  }
+
+  const koaMiddleware = R.pipe(
+    R.propOr([], 'middleware'),
+    prependMetadataMiddleware(route, (metadata: RouteMetadata) => (ctx: Object, next: Function) => {
+      ctx.state.routeMetadata = metadata
+      return next()
+    }),
+    R.concat(R.__, R.flatten([handler]))
+  )(route)
+  const routeName = R.has('as', route) && !route.mount ? [route.as] : []
+
+  R.addIndex(R.forEach)(
+    (path: string, index: number) => invokeHttpMethod(
+      route.mount ? 'USE' : route.httpMethod,
+      R.concat(index === 0 ? routeName : [], R.prepend(path, koaMiddleware)),
+      koaRouter
+    ),
+    expressPaths(route.path, route.constraints)
+  )
+
+  return [route, routeModule]
+})
+
+/**
+ * The inverse of the path helpers: finds the first valid route of the router which handles the given HTTP
+ * method and URL, and the params extracted from the URL path. HEAD requests are recognized by GET routes. Mount
+ * routes recognize every URL under their path.
+ *
+ * @memberof router
+ * @function recognize
+ * @static
+ * @param {Router} router - The resolved router.
+ * @param {string} httpMethod - The HTTP method (case insensitive).
+ * @param {string} requestUrl - The URL or URL path, optionally with a query string.
+ * @returns {?RecognizedRoute} - The matching route details, or null if no route matches.
+ * @example
+ *
+ * > recognize(router, 'GET', '/users/123?expand=todos')
+ * {route: {as: 'user', handler: 'show', ...}, params: {id: '123'}, require: '/path/to/controllers/users', handler: 'show', routeModule: {...}}
+ *
+ * > recognize(router, 'DELETE', '/not/a/route')
+ * null
+ */
+export const recognize = R.curry((
+  router: Router,
+  httpMethod: string,
+  requestUrl: string
+): ?RecognizedRoute => {
+  const { pathname } = url.parse(requestUrl)
+
+  return R.reduce(
+    (recognized: ?RecognizedRoute, [route: Route, routeModule: Object]) => {
+      const params = matchHttpMethod(httpMethod, route.httpMethod)
+        ? matchCompiledPath((route.mount ? compileMountPath : compilePath)(route.path, route.constraints), pathname)
+        : null
+
+      return R.isNil(params)
+        ? recognized
+        : R.reduced({ route, params, require: route.require, handler: route.handler, routeModule })
+    },
+    null,
+    R.reject(R.isNil, router.routes)
+  )
+})
+
+/**
+ * Requires all of the routes and builds the path and URL helpers for those that have aliases. Conflicts
+ * between the valid routes (see {@link conflicts.detectConflicts}) are reported in the router's `conflicts`.
+ * In lazy mode the route modules are not required, only checked for existence.
  *
  * @memberof router
  * @function resolve
  * @static
  * @param {Array.<?Route>} routes
- * @param {RouteLoader} [routeLoader] - You probably don't want to override this.
+ * @param {RouteLoader|ResolveOptions} [routeLoader] - You probably don't want to override this. May be replaced by the resolve options.
  * @param {PathHelpersBuilder} [pathHelpersBuilder] - You probably don't want to override this.
+ * @param {UrlHelpersBuilder} [urlHelpersBuilder] - You probably don't want to override this.
+ * @param {function} [conflictsDetector] - You probably don't want to override this.
+ * @param {ResolveOptions} [options] - Additional resolve options, if any.
  * @returns {Router}
+ * @example
+ *
+ * flauta.resolve(routes, { urlOptions: { protocol: 'https', host: 'www.example.com' } })
  */
 export const resolve = R.curryN(1, (
   routes: Array<?Route>,
-  routeLoader?: RouteLoader = loadRoutes,
-  pathHelpersBuilder?: PathHelpersBuilder = buildPathHelpers
+  routeLoader?: RouteLoader | ?ResolveOptions = loadRoutes,
+  pathHelpersBuilder?: PathHelpersBuilder = buildPathHelpers,
+  urlHelpersBuilder?: UrlHelpersBuilder = buildUrlHelpers,
+  conflictsDetector?: (routes: Array<?RouteModuleTuple>) => Array<RouteConflict> = detectConflicts,
+  options?: ?ResolveOptions
 ): Router => {
-  const loadedRoutes = routeLoader(routes)
+  if (typeof routeLoader !== 'function') {
+    return resolve(routes, loadRoutes, pathHelpersBuilder, urlHelpersBuilder, conflictsDetector, routeLoader)
+  }
+
+  const lazy = R.propOr(process.env[LAZY_CONTROLLERS_VARIABLE] === 'true', 'lazy', R.defaultTo({}, options))
+  const loadedRoutes = lazy ? routeLoader(routes, lazyRequireRouteModule) : routeLoader(routes)
   const cachedPaths = pathHelpersBuilder(loadedRoutes.routes)
+  const cachedUrls = urlHelpersBuilder(cachedPaths, R.propOr({}, 'urlOptions', options))
 
   return R.pipe(
     R.pick(['routes', 'invalidRoutes']),
-    R.assoc('paths', cachedPaths)
+    R.assoc('paths', cachedPaths),
+    R.assoc('urls', cachedUrls),
+    R.assoc('conflicts', conflictsDetector(loadedRoutes.routes))
   )(loadedRoutes)
 })
 
+/**
+ * Finds the handler exported by the route module for the given route, checking the module's default
+ * export first.
+ *
+ * @memberof router
+ * @function routeModuleHandler
+ * @static
+ * @param {Route} route
+ * @param {Object} routeModule - The required route module.
+ * @returns {?(function|Array.<function>)} - The handler function (or array of middleware and handler functions), if any.
+ */
+export const routeModuleHandler = (route: Route, routeModule: Object): ?(Function | Array<Function>) =>
+  R.either(
+    R.path(['default', route.handler]),
+    R.prop(route.handler)
+  )(routeModule)
+
+// The generated path helpers module embeds a dependency-free copy of this builder and of the helpers it calls
+// (PATH_HELPERS_RUNTIME in src/codegen.js). Mirror any change to the encoding, constraints, query or anchor
+// handling there; test/helpers/path-builder-cases.js runs both against the same cases.
 /**
  * Curried function which binds a route to a path helper function. The returned function can optionally
  * take an object with properties to replace in the route path so that you can generate valid URL paths
  * for interacting with a particular route.
  *
+ * Property values replacing path segments are percent-encoded. Splat values may be arrays, their items are
+ * joined with slashes (slashes of string splat values are kept). Optional groups are omitted unless all of
+ * their properties are given. Properties that don't match a path segment are appended as a query string sorted
+ * by name, except for the `anchor` property which is appended as the URL fragment. An Error is thrown if a
+ * property required by the route path is missing, or if its value does not satisfy the route's constraint for
+ * that property.
+ *
  * @memberof router
  * @function routeModuleTupleToPathBuilder
  * @static
  * @param {RouteModuleTuple} tuple
- * @param {Object.<string, string>} [properties] - Provide this object if there are properties in the path that need to have actual values (e.g. :id).
+ * @param {Object.<string, *>} [properties] - Provide this object if there are properties in the path that need to have actual values (e.g. :id).
  * @returns {string} - The URL path to use to interact with this route via HTTP calls.
  * @example
  *
@@ -223,26 +571,78 @@ export const resolve = R.curryN(1, (
  * ])
  *
  * router.paths.users() // => '/users'
- * router.paths.user({ id: '123' }) // => '/users/123'
+ * router.paths.users({ page: 2, q: 'sally smith' }) // => '/users?page=2&q=sally%20smith'
+ * router.paths.user({ id: '123', anchor: 'todos' }) // => '/users/123#todos'
+ * router.paths.user({ id: 'a/b' }) // => '/users/a%2Fb'
+ * router.paths.user() // throws Error('Missing required path property :id for route user (users/:id)')
+ *
+ * @example
+ *
+ * const router = flauta.resolve([
+ *   flauta.namespace({ path: '/', require: '/some/absolute/path/to/controllers' }, [
+ *     flauta.resources('users', { constraints: { id: /\d+/ } })
+ *   ])
+ * ])
+ *
+ * router.paths.user({ id: 'sally' }) // throws Error("Invalid path property :id for route user (users/:id): 'sally' does not match /\d+/")
+ *
+ * @example
+ *
+ * const router = flauta.resolve([
+ *   flauta.namespace({ path: '/', require: '/some/absolute/path/to/controllers' }, [
+ *     flauta.get('posts(/:page)', 'posts', 'index', { as: 'posts' }),
+ *     flauta.get('files/*path(.:format)', 'files', 'show', { as: 'file' })
+ *   ])
+ * ])
+ *
+ * router.paths.posts() // => '/posts'
+ * router.paths.posts({ page: 2 }) // => '/posts/2'
+ * router.paths.file({ path: ['docs', 'read me'], format: 'pdf' }) // => '/files/docs/read%20me.pdf'
  */
 export const routeModuleTupleToPathBuilder = (
   tuple: RouteModuleTuple
 ) => (
-  properties?: { [string]: string }
+  properties?: ?{ [string]: mixed }
 ): string => {
   const route = R.head(tuple)
-  if (R.isEmpty(properties)) {
-    return route.path
-  }
+  const presentProperties = R.reject(R.isNil, R.defaultTo({}, properties))
+  const params = pathParams(route.path)
+  const paramNames = R.pluck('name', params)
+  const pathProperties = R.reject(R.equals(''), R.pick(paramNames, presentProperties))
+  const constraints = R.defaultTo({}, route.constraints)
+  const missingProperties = R.pipe(
+    R.reject(R.either(R.prop('optional'), (param: PathParam) => R.has(param.name, pathProperties))),
+    R.pluck('name')
+  )(params)
 
-  const expectedProperties = pathPropertiesMatcher(route.path)
-  const validProperties = R.pick(expectedProperties, properties)
+  if (!R.isEmpty(missingProperties)) {
+    throw new Error(
+      `Missing required path ${missingProperties.length > 1 ? 'properties' : 'property'} ` +
+      `${R.join(', ', R.map(R.concat(':'), missingProperties))} for route ${R.propOr(route.path, 'as', route)} (${route.path})`
+    )
+  }
 
-  return R.reduce(
-    (path, [key, value]) => R.replace(new RegExp(`(^|/):${key}(/|$)`), `$1${value}$2`, path),
-    route.path,
-    R.toPairs(validProperties)
+  const invalidProperty = R.find(
+    (key: string) => R.has(key, constraints) && R.has(key, pathProperties) &&
+      !matchConstraint(constraints[key], pathPropertyValue(pathProperties[key])),
+    paramNames
   )
+
+  if (!R.isNil(invalidProperty)) {
+    throw new Error(
+      `Invalid path property :${invalidProperty} for route ${R.propOr(route.path, 'as', route)} (${route.path}): ` +
+      `'${pathPropertyValue(pathProperties[invalidProperty])}' does not match ${String(constraints[invalidProperty])}`
+    )
+  }
+
+  const [path, substitutedProperties] = R.defaultTo(['', []], renderPathTokens(pathProperties, parsePath(route.path)))
+  const unusedProperties = R.concat(R.difference(paramNames, R.keys(pathProperties)), substitutedProperties)
+
+  return R.join('', [
+    path,
+    buildQueryString(R.omit(R.prepend('anchor', unusedProperties), presentProperties)),
+    R.has('anchor', presentProperties) ? `#${encodeURIComponent(String(presentProperties.anchor))}` : ''
+  ])
 }
 
 /**
@@ -274,6 +674,139 @@ export const safeRequireRouteModule = (
   )(route)
 }
 
+/**
+ * Builds the module of a redirect {@link Route} (see {@link dsl/http.redirect}) instead of requiring one. The module
+ * exports a `redirect` handler which responds with the redirect status and a `Location` header, and works with
+ * Express and the {@link dispatcher.dispatcher}. The route is invalid if its target path has params which the route
+ * path doesn't provide.
+ *
+ * @memberof router
+ * @function redirectRouteModule
+ * @static
+ * @param {Route} route - The redirect route.
+ * @returns {RouteModuleTuple} - The route paired with its redirect module, or with the Error making it invalid.
+ * @example
+ *
+ * > redirectRouteModule(flauta.redirect('/posts/:id', '/articles/:id'))
+ * [{handler: 'redirect', path: '/posts/:id', ...}, {redirect: function(req, res) { ... }}]
+ *
+ * > redirectRouteModule(flauta.redirect('/posts', '/articles/:id'))
+ * [{handler: 'redirect', path: '/posts', ...}, Error('Redirect target /articles/:id has params missing from the route path: :id')]
+ */
+export const redirectRouteModule = (route: Route): RouteModuleTuple => {
+  const routeRedirect = route.redirect
+  if (!routeRedirect) {
+    return [route, new Error('Route missing the redirect target')]
+  }
+
+  const target = routeRedirect.to
+  const missingParams = typeof target === 'string'
+    ? R.difference(
+      R.pluck('name', R.reject(R.prop('optional'), pathParams(R.last(splitRedirectTarget(target))))),
+      pathPropertiesMatcher(route.path)
+    )
+    : []
+
+  if (!R.isEmpty(missingParams)) {
+    return [route, new Error(
+      `Redirect target ${String(target)} has params missing from the route path: ${R.join(', ', R.map(R.concat(':'), missingParams))}`
+    )]
+  }
+
+  return [route, {
+    [route.handler]: (req: Object, res: Object): void => {
+      const location = redirectLocation(routeRedirect, R.defaultTo({}, req.params), req, url.parse(req.url).search)
+      res.statusCode = routeRedirect.status
+      res.setHeader('Location', location)
+      res.end()
+    }
+  }]
+}
+
+/**
+ * Builds the module of a mount {@link Route} (see {@link dsl.mount}) instead of requiring one. The module exports the
+ * mounted application as the route handler.
+ *
+ * @memberof router
+ * @function mountRouteModule
+ * @static
+ * @param {Route} route - The mount route.
+ * @returns {RouteModuleTuple} - The route paired with its module, or with an Error if it has no mounted application.
+ * @example
+ *
+ * > mountRouteModule(flauta.mount('/admin', adminApp))
+ * [{handler: 'mount', httpMethod: 'ALL', path: '/admin', ...}, {mount: adminApp}]
+ */
+export const mountRouteModule = (route: Route): RouteModuleTuple =>
+  typeof route.mount === 'function'
+    ? [route, { [route.handler]: route.mount }]
+    : [route, new Error('Route missing the mounted application')]
+
+/**
+ * Checks that the module of the given {@link Route} can be found without requiring it, catching the
+ * resolution exception if it can't. The returned module only exports the route handler, which requires
+ * the actual module on its first invocation (see {@link lazyRouteHandler}). The handler itself isn't
+ * verified until then.
+ *
+ * @memberof router
+ * @function lazyRequireRouteModule
+ * @static
+ * @param {Route} route
+ * @param {function} [moduleResolver] - The function used to find the module path, `require.resolve` by default.
+ * @param {function} [moduleRequirer] - The function used to require the module on the first request, `require` by default.
+ * @returns {RouteModuleTuple} - The route paired with its lazy module or with the resolution error.
+ */
+export const lazyRequireRouteModule = (
+  route: Route,
+  moduleResolver: (path: string) => string = require.resolve,
+  moduleRequirer: (path: string) => ?Object = require
+): [Route, Object | Error] =>
+  R.tryCatch(
+    (route: Route) => {
+      moduleResolver(route.require)
+      return [route, { [route.handler]: lazyRouteHandler(route, moduleRequirer) }]
+    },
+    (error: Error) => [route, error]
+  )(route)
+
+/**
+ * Builds a handler which requires the route module on its first invocation and delegates to the exported
+ * handler. Exported handler arrays are run in order, each one moving on to the next when it calls the
+ * `next` function it is given (the last argument, for both Express and Koa). An Error is thrown if the
+ * module doesn't export the handler.
+ *
+ * @memberof router
+ * @function lazyRouteHandler
+ * @static
+ * @param {Route} route
+ * @param {function} [moduleRequirer] - The function used to require the module, `require` by default.
+ * @returns {function} - The lazy handler.
+ */
+export const lazyRouteHandler = (
+  route: Route,
+  moduleRequirer: (path: string) => ?Object = require
+): Function => {
+  const loadHandlers = R.memoize((): Array<Function> => {
+    const handler = routeModuleHandler(route, R.defaultTo({}, moduleRequirer(route.require)))
+    if (R.isNil(handler)) {
+      throw new Error(`Controller module ${route.require} missing the handler function ${route.handler}`)
+    }
+
+    return R.flatten([handler])
+  })
+
+  return (...args: Array<any>): mixed => {
+    const handlers = loadHandlers()
+    const [requestArgs, next] = [R.init(args), R.last(args)]
+    const step = (index: number) => (...nextArgs: Array<mixed>): mixed =>
+      index < R.length(handlers) && R.isNil(R.head(nextArgs))
+        ? handlers[index](...R.append(step(index + 1), requestArgs))
+        : next(...nextArgs)
+
+    return step(0)()
+  }
+}
+
 /**
  * Verifies that the given route module exports the given handler function.
  *
@@ -292,7 +825,124 @@ export const verifyHandlerExported = R.curry((handler: string, routeModule: mixe
   )(routeModule)
 )
 
-const pathPropertiesMatcher: (path: string) => Array<?string> = R.pipe(
-  R.match(/(?:^|\/):([-a-zA-Z_]+)(?:\/|$)/g),
-  R.map(R.replace(/[\/:]+/g, ''))
+const invokeHttpMethod = (httpMethod: string, args: Array<mixed>, target: Object): mixed =>
+  R.apply(
+    R.invoker(R.length(args), R.toLower(httpMethod)),
+    R.append(target, args)
+  )
+
+const prependMetadataMiddleware = R.curry((
+  route: Route,
+  metadataMiddleware: (metadata: RouteMetadata) => Function,
+  middleware: Array<Function>
+): Array<Function> => {
+  const metadata = routeMetadata(route)
+  return R.isEmpty(metadata) ? middleware : R.prepend(metadataMiddleware(metadata), middleware)
+})
+
+const koaRedirectHandler = (routeRedirect: RouteRedirect): Function =>
+  (ctx: Object): void => {
+    ctx.set('Location', redirectLocation(routeRedirect, R.defaultTo({}, ctx.params), ctx, ctx.search))
+    ctx.status = routeRedirect.status
+  }
+
+const redirectLocation = (
+  routeRedirect: RouteRedirect,
+  params: { [string]: string },
+  request: Object,
+  search: ?string
+): string => {
+  const target = routeRedirect.to
+  const location = typeof target === 'function'
+    ? target(params, request)
+    : redirectTargetLocation(target, params)
+  const query = R.replace(/^\?/, '', R.defaultTo('', search))
+
+  return routeRedirect.keepQuery && !R.isEmpty(query)
+    ? `${location}${R.contains('?', location) ? '&' : '?'}${query}`
+    : location
+}
+
+// Splits the origin (e.g. `http://example.com:8080`) off absolute redirect targets, so that only their path is
+// read for params.
+const splitRedirectTarget = (target: string): [string, string] => {
+  const match = /^([a-z][a-z\d+.-]*:\/\/[^/?#]*)(.*)$/i.exec(target)
+  return match ? [match[1], match[2]] : ['', target]
+}
+
+const redirectTargetLocation = (target: string, params: { [string]: string }): string => {
+  const [origin, targetPath] = splitRedirectTarget(target)
+  const buildPath = routeModuleTupleToPathBuilder([{ handler: 'redirect', httpMethod: 'GET', path: targetPath, require: '' }, {}])
+  return `${origin}${buildPath(R.pick(pathPropertiesMatcher(targetPath), params))}`
+}
+
+const expressRoutePath = (route: Route): string | Array<string> => {
+  const paths = expressPaths(route.path, route.constraints)
+  return paths.length === 1 ? R.head(paths) : paths
+}
+
+const pathPropertyValue = (value: mixed): string =>
+  Array.isArray(value) ? R.join('/', R.map(String, value)) : String(value)
+
+const encodePathProperty = (token: PathToken, value: mixed): string =>
+  token.type === 'splat'
+    ? R.join('/', R.map(encodeURIComponent, Array.isArray(value) ? R.map(String, value) : R.split('/', String(value))))
+    : encodeURIComponent(String(value))
+
+const renderPathTokens = (
+  properties: { [string]: mixed },
+  tokens: Array<PathToken>
+): ?[string, Array<string>] =>
+  R.reduce(
+    ([path, substituted]: [string, Array<string>], token: PathToken) => {
+      if (token.type === 'static') {
+        return [`${path}${token.value}`, substituted]
+      } else if (token.type === 'optional') {
+        const [optionalPath, optionalSubstituted] = R.defaultTo(['', []], renderPathTokens(properties, token.tokens))
+        return [`${path}${optionalPath}`, R.concat(substituted, optionalSubstituted)]
+      }
+
+      return R.has(token.name, properties)
+        ? [`${path}${encodePathProperty(token, properties[token.name])}`, R.append(token.name, substituted)]
+        : R.reduced(null)
+    },
+    ['', []],
+    tokens
+  )
+
+const LAZY_CONTROLLERS_VARIABLE = 'FLAUTA_LAZY_CONTROLLERS'
+
+const DEFAULT_PORTS = {
+  http: ['80'],
+  https: ['443']
+}
+
+const buildQueryString: (properties: { [string]: mixed }) => string = R.pipe(
+  R.toPairs,
+  R.sortBy(R.head),
+  R.map(([key, value]) => querystring.stringify({ [key]: value })),
+  R.join('&'),
+  R.unless(R.isEmpty, R.concat('?'))
+)
+
+/**
+ * Lists the names of the properties a path helper substitutes into the route path, in order, including the
+ * splats and the params of optional groups.
+ *
+ * @memberof router
+ * @function pathPropertiesMatcher
+ * @static
+ * @param {string} path - The route path.
+ * @returns {Array.<string>} - The property names, without the leading colon.
+ * @example
+ *
+ * > pathPropertiesMatcher('/users/:user_id/todos/:id')
+ * ['user_id', 'id']
+ *
+ * > pathPropertiesMatcher('/files/*path(.:format)')
+ * ['path', 'format']
+ */
+export const pathPropertiesMatcher: (path: string) => Array<string> = R.pipe(
+  pathParams,
+  R.pluck('name')
 )
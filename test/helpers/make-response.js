@@ -0,0 +1,12 @@
+/* @flow */
+/* eslint-env jest */
+
+// makeResponse :: () -> Object
+//
+// Builds a fake http.ServerResponse recording the headers set and the body sent, for the tests of the request
+// listeners and middleware.
+export const makeResponse = () => ({
+  statusCode: 200,
+  setHeader: jest.fn(),
+  end: jest.fn()
+})
@@ -0,0 +1,227 @@
+/* @flow */
+
+// Cases of the path helpers, shared by the router's path helpers tests and the generated path helpers module
+// tests to keep both implementations in sync. Each case's args are a route and the properties given to its
+// path helper.
+
+export const PATH_BUILDER_CASES = [
+  {
+    description: 'not given any properties it returns the route path',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' }
+    ],
+    expected: 'api/v1/one'
+  },
+  {
+    description: 'given null properties it returns the route path',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
+      null
+    ],
+    expected: 'api/v1/one'
+  },
+  {
+    description: 'given undefined properties it returns the route path',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
+      undefined
+    ],
+    expected: 'api/v1/one'
+  },
+  {
+    description: 'given empty properties it returns the route path',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
+      {}
+    ],
+    expected: 'api/v1/one'
+  },
+  {
+    description: 'appends mis-matched properties as a query string',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
+      { id: '123', some: 'prop' }
+    ],
+    expected: 'api/v1/one/123?some=prop'
+  },
+  {
+    description: 'sorts and encodes the query string, skipping nil values',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
+      { q: 'sally smith & co', page: 2, tags: ['a', 'b'], empty: null, missing: undefined }
+    ],
+    expected: 'api/v1/one?page=2&q=sally%20smith%20%26%20co&tags=a&tags=b'
+  },
+  {
+    description: 'appends the anchor property as the fragment',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
+      { id: '123', anchor: 'the todos', page: 2 }
+    ],
+    expected: 'api/v1/one/123?page=2#the%20todos'
+  },
+  {
+    description: 'percent-encodes the property values',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
+      { id: 'a/b c?$1' }
+    ],
+    expected: 'api/v1/one/a%2Fb%20c%3F%241'
+  },
+  {
+    description: 'converts non-string property values',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
+      { id: 123 }
+    ],
+    expected: 'api/v1/one/123'
+  },
+  {
+    description: 'given matching properties it returns the path with the properties replaced',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
+      { id: '123' }
+    ],
+    expected: 'api/v1/one/123'
+  },
+
+  {
+    description: 'doesn\'t replace partial properties',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:supercalifragilistic', require: '~/app/controllers/one' },
+      { super: 'nope', supercalifragilistic: 'yep' }
+    ],
+    expected: 'api/v1/one/yep?super=nope'
+  },
+  {
+    description: 'doesn\'t replace partial properties (reversed)',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:super', require: '~/app/controllers/one' },
+      { super: 'yep', supercalifragilistic: 'nope' }
+    ],
+    expected: 'api/v1/one/yep?supercalifragilistic=nope'
+  },
+  {
+    description: 'replaces multiple properties',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:parentId/things/:id', require: '~/app/controllers/one' },
+      { id: '456', parentId: '123' }
+    ],
+    expected: 'api/v1/one/123/things/456'
+  },
+  {
+    description: 'replaces properties at beginning of path',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: ':atBeginning/api/v1/one/:atEnd', require: '~/app/controllers/one' },
+      { atBeginning: 'sunrise', atEnd: 'sunset' }
+    ],
+    expected: 'sunrise/api/v1/one/sunset'
+  },
+  {
+    description: 'replaces adjacent properties',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/:year/:month', require: '~/app/controllers/one' },
+      { year: '2017', month: '02' }
+    ],
+    expected: 'api/v1/2017/02'
+  },
+  {
+    description: 'accepts properties satisfying their constraints',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/:year/:month', require: '~/app/controllers/one', constraints: { year: /\d{4}/, month: /\d{2}/ } },
+      { year: 2017, month: '02', page: 'not-a-number' }
+    ],
+    expected: 'api/v1/2017/02?page=not-a-number'
+  },
+  {
+    description: 'omits the optional groups without properties',
+    args: [
+      { handler: 'index', httpMethod: 'GET', path: 'posts(/:year(/:month))', require: '~/app/controllers/posts' },
+      { month: '02', year: '' }
+    ],
+    expected: 'posts?month=02'
+  },
+  {
+    description: 'substitutes the optional groups with properties',
+    args: [
+      { handler: 'index', httpMethod: 'GET', path: 'posts(/:year(/:month))', require: '~/app/controllers/posts' },
+      { year: 2017, month: '02' }
+    ],
+    expected: 'posts/2017/02'
+  },
+  {
+    description: 'omits the optional groups missing some of their properties',
+    args: [
+      { handler: 'index', httpMethod: 'GET', path: 'posts(/:year/:month)', require: '~/app/controllers/posts' },
+      { year: 2017 }
+    ],
+    expected: 'posts?year=2017'
+  },
+  {
+    description: 'joins and encodes array splat values',
+    args: [
+      { handler: 'show', httpMethod: 'GET', path: 'files/*path(.:format)', require: '~/app/controllers/files' },
+      { path: ['docs', 'read me', 'a/b'], format: 'pdf' }
+    ],
+    expected: 'files/docs/read%20me/a%2Fb.pdf'
+  },
+  {
+    description: 'keeps the slashes of string splat values',
+    args: [
+      { handler: 'show', httpMethod: 'GET', path: 'files/*path', require: '~/app/controllers/files' },
+      { path: 'docs/read me' }
+    ],
+    expected: 'files/docs/read%20me'
+  }
+]
+
+// The expected values are the messages of the errors thrown.
+export const PATH_BUILDER_ERROR_CASES = [
+  {
+    description: 'throws when a required property is not given',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one', as: 'one' },
+      { other: 'prop' }
+    ],
+    expected: 'Missing required path property :id for route one (api/v1/one/:id)'
+  },
+  {
+    description: 'throws when required properties are nil or empty',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/:parentId/one/:id', require: '~/app/controllers/one' },
+      { parentId: '', id: null }
+    ],
+    expected: 'Missing required path properties :parentId, :id for route api/v1/:parentId/one/:id (api/v1/:parentId/one/:id)'
+  },
+  {
+    description: 'throws when properties are not given',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one', as: 'one' }
+    ],
+    expected: 'Missing required path property :id for route one (api/v1/one/:id)'
+  },
+  {
+    description: 'throws when a property does not satisfy its constraint',
+    args: [
+      { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one', as: 'one', constraints: { id: /\d+/ } },
+      { id: '12a' }
+    ],
+    expected: 'Invalid path property :id for route one (api/v1/one/:id): \'12a\' does not match /\\d+/'
+  },
+  {
+    description: 'throws when a required splat is missing, but not when an optional property is',
+    args: [
+      { handler: 'show', httpMethod: 'GET', path: 'files/*path(.:format)', require: '~/app/controllers/files', as: 'file' },
+      { format: 'pdf' }
+    ],
+    expected: 'Missing required path property :path for route file (files/*path(.:format))'
+  },
+  {
+    description: 'checks the constraints against the joined splat values',
+    args: [
+      { handler: 'show', httpMethod: 'GET', path: 'files/*path', require: '~/app/controllers/files', as: 'file', constraints: { path: /[a-z/]+/ } },
+      { path: ['docs', 'v1'] }
+    ],
+    expected: `Invalid path property :path for route file (files/*path): 'docs/v1' does not match ${String(/[a-z/]+/)}`
+  }
+]
@@ -0,0 +1,225 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import vm from 'vm'
+import { pathHelperDefinitions, pathHelperName, pathHelpersFlowDeclarations, pathHelpersModule,
+  pathHelpersTypeScriptDeclarations } from '~/src/codegen'
+import { routeModuleTupleToPathBuilder } from '~/src/router'
+import { runTestCases } from '~/test/helpers/define-cases'
+import { PATH_BUILDER_CASES, PATH_BUILDER_ERROR_CASES } from '~/test/helpers/path-builder-cases'
+
+const evaluateModule = (source: string): Object => {
+  const sandbox = { module: { exports: {} } }
+  vm.runInNewContext(R.pipe(
+    R.replace(/^export const /gm, 'const '),
+    R.replace(/^export default /m, 'module.exports = ')
+  )(source), sandbox)
+
+  return sandbox.module.exports
+}
+
+describe('~/src/codegen', () => {
+  const usersIndex = {handler: 'index', httpMethod: 'GET', path: '/users', require: '/app/users', as: 'users'}
+  const userTodo = {handler: 'show', httpMethod: 'GET', path: '/users/:user_id/todos/:id', require: '/app/todos', as: 'user-todo'}
+  const usersCreate = {handler: 'create', httpMethod: 'POST', path: '/users', require: '/app/users'}
+  const file = {handler: 'show', httpMethod: 'GET', path: '/files/*path(.:format)', require: '/app/files', as: 'file'}
+  const posts = {handler: 'index', httpMethod: 'GET', path: '/posts(/:page)', require: '/app/posts', as: 'posts'}
+  const post = {handler: 'show', httpMethod: 'GET', path: '/posts/:slug', require: '/app/posts', as: 'post', constraints: {slug: /[a-z0-9-]+/, id: /\d+/}}
+  const router = {
+    routes: [[usersIndex, {}], [userTodo, {}], [usersCreate, {}], null],
+    invalidRoutes: [[{handler: 'show', httpMethod: 'GET', path: '/missing', require: '/app/missing', as: 'missing'}, new Error()]]
+  }
+
+  describe('pathHelperDefinitions', () => {
+    it('lists the aliased valid routes sorted by alias', () => {
+      expect(pathHelperDefinitions(router)).toEqual([
+        {alias: 'user-todo', name: 'userTodoPath', path: '/users/:user_id/todos/:id', properties: ['user_id', 'id']},
+        {alias: 'users', name: 'usersPath', path: '/users', properties: []}
+      ])
+    })
+
+    it('keeps the last route declaring an alias', () => {
+      const otherUsers = R.assoc('path', '/people', usersIndex)
+      expect(R.pluck('path', pathHelperDefinitions({routes: [[usersIndex, {}], [otherUsers, {}]]}))).toEqual(['/people'])
+    })
+
+    it('lists the optional and splat properties separately', () => {
+      expect(pathHelperDefinitions({routes: [[file, {}], [posts, {}]]})).toEqual([
+        {alias: 'file', name: 'filePath', path: '/files/*path(.:format)', properties: ['path'], optionalProperties: ['format'], splatProperties: ['path']},
+        {alias: 'posts', name: 'postsPath', path: '/posts(/:page)', properties: [], optionalProperties: ['page']}
+      ])
+    })
+
+    it('keeps the constraints of the path properties', () => {
+      expect(pathHelperDefinitions({routes: [[post, {}]]})).toEqual([
+        {alias: 'post', name: 'postPath', path: '/posts/:slug', properties: ['slug'], constraints: {slug: /[a-z0-9-]+/}}
+      ])
+    })
+
+    it('throws when distinct aliases convert to the same helper name', () => {
+      const userPosts = {handler: 'index', httpMethod: 'GET', path: '/users/:user_id/posts', require: '/app/posts', as: 'user-posts'}
+      const otherUserPosts = R.merge(userPosts, {path: '/people/:user_id/posts', as: 'user_posts'})
+
+      expect(() => pathHelperDefinitions({routes: [[userPosts, {}], [otherUserPosts, {}]]})).toThrowError(
+        'Path helpers user-posts, user_posts would all be exported as userPostsPath, rename their aliases'
+      )
+    })
+  })
+
+  describe('pathHelperName', () => {
+    runTestCases(
+      ({ args, expected }) => expect(pathHelperName(...args)).toEqual(expected),
+      [
+        {description: 'suffixes single words', args: ['users'], expected: 'usersPath'},
+        {description: 'camel cases hyphenated aliases', args: ['api-v1-user'], expected: 'apiV1UserPath'},
+        {description: 'camel cases other separators', args: ['Admin_reports/daily'], expected: 'adminReportsDailyPath'},
+        {description: 'prefixes aliases starting with a digit', args: ['2fa-code'], expected: '_2faCodePath'}
+      ]
+    )
+  })
+
+  describe('pathHelpersModule', () => {
+    const source = pathHelpersModule(router)
+    const paths = R.merge(evaluateModule(source), evaluateModule(pathHelpersModule({routes: [[file, {}], [posts, {}]]})))
+
+    it('exports a helper per alias, also exported by default under the alias', () => {
+      expect(source).toMatch(/^export const usersPath = /m)
+      expect(source).toMatch(/^export const userTodoPath = /m)
+      expect(R.keys(evaluateModule(source))).toEqual(['user-todo', 'users'])
+    })
+
+    it('does not import any module', () => {
+      expect(source).not.toMatch(/\b(import|require)\b/)
+    })
+
+    const serverPath = (route, properties) =>
+      R.tryCatch(routeModuleTupleToPathBuilder([route, {}]), R.prop('message'))(properties)
+
+    runTestCases(
+      ({ args: [route, properties], expected }) => expect(paths[route.as](properties)).toEqual(expected),
+      R.map(
+        ({ description, args }) => ({ description, args, expected: serverPath(...args) }),
+        [
+          {description: 'builds paths without properties', args: [usersIndex]},
+          {description: 'substitutes and encodes path properties', args: [userTodo, {user_id: 'a/b', id: 12}]},
+          {
+            description: 'appends the other properties as a sorted query string',
+            args: [usersIndex, {q: 'sally smith', page: 2, tags: ['a', 'b c'], admin: true, skip: null, filter: {}, empty: []}]
+          },
+          {description: 'appends the anchor', args: [userTodo, {user_id: 1, id: 2, anchor: 'the end'}]},
+          {description: 'omits the optional groups without properties', args: [posts, {page: ''}]},
+          {description: 'substitutes the optional groups with properties', args: [posts, {page: 2, q: 'a'}]},
+          {description: 'joins array splat values', args: [file, {path: ['docs', 'read me'], format: 'pdf'}]},
+          {description: 'keeps the slashes of string splat values', args: [file, {path: 'docs/read me'}]}
+        ]
+      )
+    )
+
+    runTestCases(
+      ({ args: [route, properties], expected }) => expect(() => paths[route.as](properties)).toThrowError(expected),
+      [
+        {
+          description: 'throws on a missing path property',
+          args: [userTodo, {user_id: 1}],
+          expected: 'Missing required path property :id for route user-todo (/users/:user_id/todos/:id)'
+        },
+        {
+          description: 'throws on missing path properties',
+          args: [userTodo, {id: ''}],
+          expected: 'Missing required path properties :user_id, :id for route user-todo (/users/:user_id/todos/:id)'
+        }
+      ]
+    )
+
+    it('throws the same errors as the router path helpers', () => {
+      expect(serverPath(userTodo, {id: ''})).toEqual('Missing required path properties :user_id, :id for route user-todo (/users/:user_id/todos/:id)')
+    })
+
+    it('checks the path properties against the route constraints like the router path helpers', () => {
+      const postPath = evaluateModule(pathHelpersModule({routes: [[post, {}]]})).post
+
+      expect(postPath({slug: 'hello-world', id: 'not-checked'})).toEqual(serverPath(post, {slug: 'hello-world', id: 'not-checked'}))
+      expect(() => postPath({slug: 'Hello World'})).toThrowError(serverPath(post, {slug: 'Hello World'}))
+      expect(serverPath(post, {slug: 'Hello World'})).toEqual("Invalid path property :slug for route post (/posts/:slug): 'Hello World' does not match /[a-z0-9-]+/")
+    })
+
+    describe('builds the same paths and throws the same errors as the router path helpers', () => {
+      const withAlias = (route) => R.assoc('as', R.defaultTo(route.path, route.as), route)
+      const generatedPath = (route, properties) =>
+        R.tryCatch(
+          evaluateModule(pathHelpersModule({routes: [[route, {}]]}))[route.as],
+          R.prop('message')
+        )(properties)
+
+      runTestCases(
+        ({ args: [route, properties] }) =>
+          expect(generatedPath(withAlias(route), properties)).toEqual(serverPath(withAlias(route), properties)),
+        R.concat(PATH_BUILDER_CASES, PATH_BUILDER_ERROR_CASES)
+      )
+    })
+
+    it('exports an empty default object without aliased routes', () => {
+      expect(evaluateModule(pathHelpersModule({routes: [[usersCreate, {}]]}))).toEqual({})
+    })
+  })
+
+  describe('pathHelpersTypeScriptDeclarations', () => {
+    const source = pathHelpersTypeScriptDeclarations(router)
+
+    it('declares each helper with the path properties its route requires', () => {
+      expect(source).toContain(
+        'export declare const userTodoPath: (properties: { "user_id": PathPropertyValue, "id": PathPropertyValue, ' +
+        'anchor?: string | number, [property: string]: unknown }) => string'
+      )
+      expect(source).toContain(
+        'export declare const usersPath: (properties?: { anchor?: string | number, [property: string]: unknown }) => string'
+      )
+    })
+
+    it('declares the optional and splat path properties', () => {
+      expect(pathHelpersTypeScriptDeclarations({routes: [[file, {}], [posts, {}]]})).toContain(
+        'export declare const filePath: (properties: { "path": PathPropertyValue | Array<PathPropertyValue>, ' +
+        '"format"?: PathPropertyValue, anchor?: string | number, [property: string]: unknown }) => string\n' +
+        'export declare const postsPath: (properties?: { "page"?: PathPropertyValue, ' +
+        'anchor?: string | number, [property: string]: unknown }) => string'
+      )
+    })
+
+    it('quotes the path properties which are not identifiers', () => {
+      const member = {handler: 'show', httpMethod: 'GET', path: '/members/:member-id', require: '/app/members', as: 'member'}
+      expect(pathHelpersTypeScriptDeclarations({routes: [[member, {}]]})).toContain(
+        'export declare const memberPath: (properties: { "member-id": PathPropertyValue, ' +
+        'anchor?: string | number, [property: string]: unknown }) => string'
+      )
+    })
+
+    it('declares the default export keyed by alias', () => {
+      expect(source).toContain('export interface Paths {\n  "user-todo": typeof userTodoPath\n  "users": typeof usersPath\n}')
+      expect(source).toContain('declare const paths: Paths\nexport default paths\n')
+    })
+  })
+
+  describe('pathHelpersFlowDeclarations', () => {
+    const source = pathHelpersFlowDeclarations(router)
+
+    it('is a flow file', () => {
+      expect(source).toMatch(/^\/\/ @flow\n/)
+    })
+
+    it('declares each helper with the path properties its route requires', () => {
+      expect(source).toContain(
+        'declare export var userTodoPath: (properties: { "user_id": PathPropertyValue, "id": PathPropertyValue, ' +
+        'anchor?: string | number, [property: string]: mixed }) => string'
+      )
+      expect(source).toContain(
+        'declare export var usersPath: (properties?: { anchor?: string | number, [property: string]: mixed }) => string'
+      )
+    })
+
+    it('declares the default export keyed by alias', () => {
+      expect(source).toContain('export type Paths = {\n  "user-todo": typeof userTodoPath,\n  "users": typeof usersPath\n}')
+      expect(source).toContain('declare export default Paths\n')
+    })
+  })
+})
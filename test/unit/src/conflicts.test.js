@@ -0,0 +1,147 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import { describeRoute, detectConflicts, duplicateAliases, duplicateRoutes, shadowsRoute,
+  unreachableRoutes } from '~/src/conflicts'
+import { runTestCases } from '~/test/helpers/define-cases'
+
+describe('~/src/conflicts', () => {
+  const usersIndex = {handler: 'index', httpMethod: 'GET', path: 'users', require: 'users', as: 'users'}
+  const usersShow = {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user'}
+  const usersSearch = {handler: 'search', httpMethod: 'GET', path: 'users/search', require: 'users', as: 'search-users'}
+  const usersUpdate = {handler: 'update', httpMethod: 'PATCH', path: 'users/:id', require: 'users'}
+  const accountsShow = {handler: 'show', httpMethod: 'GET', path: '/users/:id/', require: 'accounts', as: 'user'}
+
+  describe('detectConflicts', () => {
+    it('reports duplicate routes, duplicate aliases and unreachable routes', () => {
+      const routes = R.map(
+        (route) => [route, {}],
+        [usersIndex, usersShow, usersSearch, usersUpdate, accountsShow]
+      )
+
+      expect(R.map(R.props(['type', 'message']), detectConflicts(routes))).toEqual([
+        ['duplicate-route', 'Route GET /users/:id is declared 2 times'],
+        ['duplicate-alias', 'Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id'],
+        ['unreachable-route', 'Route GET /users/search is unreachable, its requests are handled by the earlier route GET /users/:id']
+      ])
+    })
+
+    it('returns no conflicts for distinct routes', () => {
+      expect(detectConflicts([[usersIndex, {}], [usersShow, {}], [usersUpdate, {}], null])).toEqual([])
+    })
+  })
+
+  describe('describeRoute', () => {
+    it('joins the HTTP method and the normalized path', () => {
+      expect(describeRoute(accountsShow)).toEqual('GET /users/:id')
+    })
+  })
+
+  describe('duplicateAliases', () => {
+    it('groups routes sharing an alias, ignoring routes without an alias', () => {
+      const updateTwice = [usersUpdate, usersUpdate]
+      expect(duplicateAliases(updateTwice)).toEqual([])
+      expect(duplicateAliases([usersShow, usersIndex, accountsShow])).toEqual([{
+        type: 'duplicate-alias',
+        message: 'Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id',
+        routes: [usersShow, accountsShow]
+      }])
+    })
+  })
+
+  describe('duplicateRoutes', () => {
+    it('groups routes sharing an HTTP method and normalized path', () => {
+      expect(duplicateRoutes([usersShow, usersUpdate, accountsShow])).toEqual([{
+        type: 'duplicate-route',
+        message: 'Route GET /users/:id is declared 2 times',
+        routes: [usersShow, accountsShow]
+      }])
+    })
+  })
+
+  describe('shadowsRoute', () => {
+    runTestCases(
+      ({ args, expected }) => expect(shadowsRoute(...args)).toEqual(expected),
+      [
+        {
+          description: 'a param segment shadows a later static segment',
+          args: [usersShow, usersSearch],
+          expected: true
+        },
+        {
+          description: 'a static segment does not shadow a later param segment',
+          args: [usersSearch, usersShow],
+          expected: false
+        },
+        {
+          description: 'routes with different HTTP methods do not shadow each other',
+          args: [usersUpdate, usersSearch],
+          expected: false
+        },
+        {
+          description: 'routes with different segment counts do not shadow each other',
+          args: [usersShow, R.assoc('path', 'users/search/recent', usersSearch)],
+          expected: false
+        },
+        {
+          description: 'duplicate paths are not reported as shadowed',
+          args: [usersShow, accountsShow],
+          expected: false
+        },
+        {
+          description: 'params with different names shadow each other',
+          args: [usersShow, R.assoc('path', 'users/:user_id', usersSearch)],
+          expected: true
+        },
+        {
+          description: 'routes with optional groups are not compared',
+          args: [R.assoc('path', 'users(/:id)', usersShow), usersSearch],
+          expected: false
+        },
+        {
+          description: 'routes with splats are not compared',
+          args: [usersShow, R.assoc('path', 'users/*path', usersSearch)],
+          expected: false
+        },
+        {
+          description: 'a constrained param does not shadow a later static segment violating the constraint',
+          args: [R.assoc('constraints', {id: /\d+/}, usersShow), usersSearch],
+          expected: false
+        },
+        {
+          description: 'a constrained param shadows a later static segment satisfying the constraint',
+          args: [R.assoc('constraints', {id: /[a-z]+/}, usersShow), usersSearch],
+          expected: true
+        },
+        {
+          description: 'a constrained param does not shadow a later param with another constraint',
+          args: [
+            R.assoc('constraints', {id: /\d+/}, usersShow),
+            R.merge(usersSearch, {path: 'users/:slug', constraints: {slug: /[a-z-]+/}})
+          ],
+          expected: false
+        },
+        {
+          description: 'a constrained param shadows a later param with the same constraint',
+          args: [
+            R.assoc('constraints', {id: /\d+/}, usersShow),
+            R.merge(usersSearch, {path: 'users/:user_id', constraints: {user_id: /\d+/}})
+          ],
+          expected: true
+        }
+      ]
+    )
+  })
+
+  describe('unreachableRoutes', () => {
+    it('reports routes shadowed by the first earlier route', () => {
+      expect(unreachableRoutes([usersSearch, usersShow])).toEqual([])
+      expect(unreachableRoutes([usersShow, usersSearch])).toEqual([{
+        type: 'unreachable-route',
+        message: 'Route GET /users/search is unreachable, its requests are handled by the earlier route GET /users/:id',
+        routes: [usersShow, usersSearch]
+      }])
+    })
+  })
+})
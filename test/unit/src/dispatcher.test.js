@@ -0,0 +1,238 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import { dispatcher, routeAcceptsMethod, runChain, toDispatchableRoute } from '~/src/dispatcher'
+import { runTestCases } from '~/test/helpers/define-cases'
+import { makeResponse } from '~/test/helpers/make-response'
+
+describe('~/src/dispatcher', () => {
+  const usersController = {
+    index: jest.fn((req, res) => res.end('index')),
+    show: jest.fn((req, res) => res.end(`show ${req.params.id}`)),
+    update: jest.fn((req, res) => res.end('update')),
+    broken: jest.fn(() => { throw new Error('broken') }),
+    skip: jest.fn((req, res, next) => next())
+  }
+
+  const router = {
+    routes: [
+      [{handler: 'index', httpMethod: 'GET', path: '/users', require: '~/app/controllers/users', tags: ['users']}, usersController],
+      [{handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users'}, usersController],
+      [{handler: 'update', httpMethod: 'PATCH', path: '/users/:id', require: '~/app/controllers/users'}, usersController],
+      [{handler: 'broken', httpMethod: 'GET', path: '/broken', require: '~/app/controllers/users'}, usersController],
+      [{handler: 'skip', httpMethod: 'GET', path: '/skip', require: '~/app/controllers/users'}, usersController]
+    ]
+  }
+
+  describe('dispatcher', () => {
+    it('invokes the matching route handler with the extracted params and query', () => {
+      const req = { method: 'GET', url: '/users/123?expand=todos' }
+      const res = makeResponse()
+
+      dispatcher(router)(req, res)
+      expect(res.end).toHaveBeenCalledWith('show 123')
+      expect(req).toMatchObject({ params: { id: '123' }, query: { expand: 'todos' } })
+      expect(req).not.toHaveProperty('routeMetadata')
+    })
+
+    it('exposes the route metadata on the request', () => {
+      const req = { method: 'GET', url: '/users' }
+
+      dispatcher(router)(req, makeResponse())
+      expect(req).toMatchObject({ routeMetadata: { tags: ['users'] } })
+    })
+
+    it('skips the routes whose constraints the params do not satisfy', () => {
+      const showBySlug = jest.fn((req, res) => res.end(`slug ${req.params.slug}`))
+      const constrainedRouter = {
+        routes: [
+          [{handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users', constraints: {id: /\d+/}}, usersController],
+          [{handler: 'showBySlug', httpMethod: 'GET', path: '/users/:slug', require: '~/app/controllers/users'}, { showBySlug }]
+        ]
+      }
+      const res = makeResponse()
+
+      dispatcher(constrainedRouter)({ method: 'GET', url: '/users/sally' }, res)
+      expect(res.end).toHaveBeenCalledWith('slug sally')
+    })
+
+    it('dispatches HEAD requests to GET routes', () => {
+      const res = makeResponse()
+
+      dispatcher(router)({ method: 'HEAD', url: '/users' }, res)
+      expect(res.end).toHaveBeenCalledWith('index')
+    })
+
+    it('invokes the route middleware ahead of the handler', () => {
+      const calls = []
+      const authenticate = (req, res, next) => { calls.push('authenticate'); next() }
+      const controller = { root: [(req, res, next) => { calls.push('load'); next() }, (req, res) => res.end('root')] }
+      const res = makeResponse()
+
+      dispatcher({
+        routes: [[{handler: 'root', httpMethod: 'GET', path: '/', require: 'home', middleware: [authenticate]}, controller]]
+      })({ method: 'GET', url: '/' }, res)
+
+      expect(calls).toEqual(['authenticate', 'load'])
+      expect(res.end).toHaveBeenCalledWith('root')
+    })
+
+    it('invokes mounted applications with the mount path removed from the URL until they pass the request on', () => {
+      const urls = []
+      const adminApp = jest.fn((req, res, next) => { urls.push(req.url); next() })
+      const mountRoute = {handler: 'mount', httpMethod: 'ALL', path: '/admin', require: '', mount: adminApp}
+      const mountedRouter = { routes: [[mountRoute, { mount: adminApp }]] }
+      const next = jest.fn()
+      const req = { method: 'POST', url: '/admin/users/1?tab=todos' }
+
+      dispatcher(mountedRouter)(req, makeResponse(), next)
+      dispatcher(mountedRouter)({ method: 'GET', url: '/admin' }, makeResponse(), next)
+      dispatcher(mountedRouter)({ method: 'GET', url: '/administrators' }, makeResponse(), next)
+
+      expect(urls).toEqual(['/users/1?tab=todos', '/'])
+      expect(req.url).toEqual('/admin/users/1?tab=todos')
+      expect(next).toHaveBeenCalledTimes(3)
+    })
+
+    it('responds with a 404 when no route path matches', () => {
+      const res = makeResponse()
+
+      dispatcher(router)({ method: 'GET', url: '/todos' }, res)
+      expect(res.statusCode).toEqual(404)
+      expect(res.end).toHaveBeenCalledWith('Not Found')
+    })
+
+    it('responds with a 404 when the handler passes the request on', () => {
+      const res = makeResponse()
+
+      dispatcher(router)({ method: 'GET', url: '/skip' }, res)
+      expect(res.statusCode).toEqual(404)
+    })
+
+    it('responds with a 405 and the allowed methods when no route method matches', () => {
+      const res = makeResponse()
+
+      dispatcher(router)({ method: 'DELETE', url: '/users/123' }, res)
+      expect(res.statusCode).toEqual(405)
+      expect(res.setHeader).toHaveBeenCalledWith('Allow', 'GET, PATCH')
+      expect(res.end).toHaveBeenCalledWith('Method Not Allowed')
+    })
+
+    it('responds with a 500 when the handler throws', () => {
+      const res = makeResponse()
+
+      dispatcher(router)({ method: 'GET', url: '/broken' }, res)
+      expect(res.statusCode).toEqual(500)
+      expect(res.end).toHaveBeenCalledWith('Internal Server Error')
+    })
+
+    it('responds with a 500 when the promise returned by the handler rejects', () => {
+      const rejectingRouter = {
+        routes: [[{handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users'}, {
+          show: () => Promise.reject(new Error('rejected'))
+        }]]
+      }
+
+      return new Promise((resolve) => {
+        const res = R.assoc('end', jest.fn(resolve), makeResponse())
+        dispatcher(rejectingRouter)({ method: 'GET', url: '/users/1' }, res)
+      }).then((body) => expect(body).toEqual('Internal Server Error'))
+    })
+
+    it('hands the errors to the onError option', () => {
+      const req = { method: 'GET', url: '/broken' }
+      const res = makeResponse()
+      const onError = jest.fn()
+
+      dispatcher(router, { onError })(req, res)
+      expect(onError).toHaveBeenCalledWith(new Error('broken'), req, res)
+      expect(res.end).not.toHaveBeenCalled()
+    })
+
+    it('passes non-matching requests and errors to next when given', () => {
+      const next = jest.fn()
+
+      dispatcher(router)({ method: 'GET', url: '/todos' }, makeResponse(), next)
+      dispatcher(router)({ method: 'DELETE', url: '/users/1' }, makeResponse(), next)
+      dispatcher(router)({ method: 'GET', url: '/broken' }, makeResponse(), next)
+      expect(next.mock.calls).toEqual([[undefined], [], [new Error('broken')]])
+    })
+  })
+
+  describe('routeAcceptsMethod', () => {
+    runTestCases(
+      ([[httpMethod, routeMethod], expected]) =>
+        expect(routeAcceptsMethod(httpMethod, { route: { httpMethod: routeMethod } })).toEqual(expected),
+      [
+        [['GET', 'GET'], true],
+        [['get', 'GET'], true],
+        [['HEAD', 'GET'], true],
+        [['HEAD', 'HEAD'], true],
+        [['POST', 'GET'], false],
+        [['GET', 'HEAD'], false]
+      ]
+    )
+  })
+
+  describe('runChain', () => {
+    it('invokes each function in order and then calls done', () => {
+      const calls = []
+      const done = jest.fn()
+      const chain = R.map((name) => (req, res, next) => { calls.push(name); next() }, ['one', 'two'])
+
+      runChain(chain, {}, {}, done)
+      expect(calls).toEqual(['one', 'two'])
+      expect(done).toHaveBeenCalledWith(undefined)
+    })
+
+    it('stops the chain when an error is passed to next', () => {
+      const error = new Error('failed')
+      const done = jest.fn()
+      const last = jest.fn()
+
+      runChain([(req, res, next) => next(error), last], {}, {}, done)
+      expect(last).not.toHaveBeenCalled()
+      expect(done).toHaveBeenCalledWith(error)
+    })
+
+    it('calls done once and rethrows the errors thrown by done', () => {
+      const error = new Error('done failed')
+      const done = jest.fn(() => { throw error })
+      const chain = R.map(() => (req, res, next) => { next() }, ['one', 'two'])
+
+      expect(() => runChain(chain, {}, {}, done)).toThrowError(error.message)
+      expect(done).toHaveBeenCalledTimes(1)
+    })
+
+    it('calls done once when a function throws after the chain completed', () => {
+      const error = new Error('late failure')
+      const done = jest.fn()
+
+      expect(() => runChain([(req, res, next) => { next(); throw error }], {}, {}, done)).toThrowError(error.message)
+      expect(done.mock.calls).toEqual([[undefined]])
+    })
+
+    it('calls done with the rejection of a returned promise', () => {
+      const error = new Error('rejected')
+
+      return new Promise((resolve) => {
+        runChain([() => Promise.reject(error)], {}, {}, resolve)
+      }).then((doneError) => expect(doneError).toBe(error))
+    })
+  })
+
+  describe('toDispatchableRoute', () => {
+    it('compiles the route path and builds the middleware and handler chain', () => {
+      const authenticate = () => {}
+      const root = () => {}
+      const route = {handler: 'root', httpMethod: 'GET', path: '/', require: 'home', middleware: [authenticate]}
+
+      expect(toDispatchableRoute([route, { default: { root } }])).toEqual({
+        route,
+        compiledPath: { keys: [], regexp: /^\/$/ },
+        chain: [authenticate, root]
+      })
+    })
+  })
+})
@@ -1,12 +1,17 @@
 /* @flow */
 /* eslint-env jest */
 
-import { applyNamespaceToRoute, namespace } from '~/src/dsl'
-import { destroy, get } from '~/src/dsl/http'
+import { applyNamespaceToRoute, mount, namespace } from '~/src/dsl'
+import { concern } from '~/src/dsl/concerns'
+import { destroy, get, redirect } from '~/src/dsl/http'
 import { resources } from '~/src/dsl/resources'
 import { runTestCases } from '~/test/helpers/define-cases'
 
 describe('~/src/dsl', () => {
+  const authenticate = () => {}
+  const authorizeAdmin = () => {}
+  const logRequest = () => {}
+
   describe('applyNamespaceToRoute', () => {
     runTestCases(
       ({ args, expected }) => expect(applyNamespaceToRoute(...args)).toEqual(expected),
@@ -18,6 +23,70 @@ describe('~/src/dsl', () => {
             {require: 'requirebaz', 'path': 'pathbaz'}
           ],
           expected: {require: 'foo/bar/requirebaz', path: 'foo/bar/pathbaz'}
+        },
+        {
+          description: 'keeps the empty require path of redirect routes',
+          args: [
+            {require: 'foo', path: 'foo'},
+            redirect('posts', '/articles')
+          ],
+          expected: redirect('foo/posts', '/articles')
+        },
+        {
+          description: 'prepends the namespace definition\'s middleware to the given route\'s middleware',
+          args: [
+            {require: 'foo', path: 'foo', middleware: [authenticate]},
+            {require: 'baz', path: 'baz', middleware: [logRequest]}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', middleware: [authenticate, logRequest]}
+        },
+        {
+          description: 'adds the namespace definition\'s middleware to a route without middleware',
+          args: [
+            {require: 'foo', path: 'foo', middleware: [authenticate]},
+            {require: 'baz', path: 'baz'}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', middleware: [authenticate]}
+        },
+        {
+          description: 'applies the namespace definition\'s description and deprecation unless the route has its own',
+          args: [
+            {require: 'foo', path: 'foo', description: 'Legacy API', deprecated: true},
+            {require: 'baz', path: 'baz', deprecated: false}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', description: 'Legacy API', deprecated: false}
+        },
+        {
+          description: 'prepends the namespace definition\'s tags to the given route\'s tags, without duplicates',
+          args: [
+            {require: 'foo', path: 'foo', tags: ['admin', 'users']},
+            {require: 'baz', path: 'baz', tags: ['users', 'search']}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', tags: ['admin', 'users', 'search']}
+        },
+        {
+          description: 'merges the namespace definition\'s meta under the given route\'s meta',
+          args: [
+            {require: 'foo', path: 'foo', meta: {auth: 'admin', cache: 60}},
+            {require: 'baz', path: 'baz', meta: {cache: 0}}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', meta: {auth: 'admin', cache: 0}}
+        },
+        {
+          description: 'adds the namespace definition\'s tags and meta to a route without them',
+          args: [
+            {require: 'foo', path: 'foo', tags: ['admin'], meta: {auth: 'admin'}},
+            {require: 'baz', path: 'baz'}
+          ],
+          expected: {require: 'foo/baz', path: 'foo/baz', tags: ['admin'], meta: {auth: 'admin'}}
+        },
+        {
+          description: 'merges the namespace definition\'s constraints under the given route\'s constraints',
+          args: [
+            {require: 'foo', path: ':account_id', constraints: {account_id: /\d+/, id: /\d+/}},
+            {require: 'baz', path: 'posts/:id', constraints: {id: /[a-z-]+/}}
+          ],
+          expected: {require: 'foo/baz', path: ':account_id/posts/:id', constraints: {account_id: /\d+/, id: /[a-z-]+/}}
         }
       ]
     )
@@ -27,6 +96,25 @@ describe('~/src/dsl', () => {
     runTestCases(
       ({args, expected}) => expect(namespace(...args)).toEqual(expected),
       [
+        {
+          description: 'inherits and concatenates middleware down nested namespaces',
+          args: [
+            {path: 'api', require: '~/app/controllers', middleware: [authenticate]},
+            [
+              get('/', 'home', 'root'),
+              namespace({path: 'admin', require: 'admin', middleware: [authorizeAdmin]}, [
+                get('/', 'home', 'root', {middleware: [logRequest]})
+              ])
+            ]
+          ],
+          expected: [
+            {handler: 'root', httpMethod: 'GET', path: 'api/', require: '~/app/controllers/home', middleware: [authenticate]},
+            [
+              {handler: 'root', httpMethod: 'GET', path: 'api/admin/', require: '~/app/controllers/admin/home', middleware: [authenticate, authorizeAdmin, logRequest]}
+            ]
+          ]
+        },
+
         {
           description: 'single level namespace',
           args: [
@@ -89,8 +177,130 @@ describe('~/src/dsl', () => {
               {handler: 'destroyEverything', httpMethod: 'DELETE', path: 'api/v1/admin/destroy-site', require: '~/app/controllers/some-other-path/home'}
             ]
           ]
+        },
+
+        {
+          description: 'nested namespaces and routes with leading slash require paths',
+          args: [
+            {path: 'api', require: '/app/controllers'},
+            [
+              get('/status', '/status', 'show'),
+              namespace({path: 'admin', require: '/admin'}, [
+                get('/reports', 'reports', 'index')
+              ])
+            ]
+          ],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'api/status', require: '/app/controllers/status'},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'api/admin/reports', require: '/app/controllers/admin/reports'}
+            ]
+          ]
+        }
+      ]
+    )
+  })
+
+  describe('namespace with concerns', () => {
+    it('adds the concern routes to the namespace routes, but not again to nested namespaces', () => {
+      const auditable = concern('auditable', {collection: [{httpMethod: 'GET', name: 'audit-log'}]})
+
+      expect(namespace({path: 'admin', require: '/app/admin', concerns: [auditable]}, [
+        namespace({path: 'reports', require: 'reports'}, [get('/', 'reports', 'index')])
+      ])).toEqual([
+        [
+          {handler: 'index', httpMethod: 'GET', path: 'admin/reports/', require: '/app/admin/reports/reports'}
+        ],
+        {handler: 'audit-log', httpMethod: 'GET', path: 'admin/audit-log', require: '/app/admin/auditable', as: 'admin-audit-log'}
+      ])
+    })
+  })
+
+  describe('mount', () => {
+    const adminApp = (req, res, next) => next()
+    const billingRoutes = [
+      get('invoices', 'invoices', 'index', {as: 'invoices'}),
+      namespace({path: 'plans', require: 'plans'}, [get('/', 'plans', 'index', {as: 'plans'})])
+    ]
+
+    runTestCases(
+      ({args, expected}) => expect(mount(...args)).toEqual(expected),
+      [
+        {
+          description: 'prefixes the paths, require paths and aliases of the mounted routes, marking the absolute require paths resolved',
+          args: ['billing', billingRoutes, {require: '/node_modules/billing/controllers'}],
+          expected: [
+            {handler: 'index', httpMethod: 'GET', path: 'billing/invoices', require: '/node_modules/billing/controllers/invoices', as: 'billing-invoices', requireResolved: true},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'billing/plans/', require: '/node_modules/billing/controllers/plans/plans', as: 'billing-plans-plans', requireResolved: true}
+            ]
+          ]
+        },
+        {
+          description: 'leaves the relative require paths of the mounted routes unresolved',
+          args: ['billing', billingRoutes, {require: 'billing'}],
+          expected: [
+            {handler: 'index', httpMethod: 'GET', path: 'billing/invoices', require: 'billing/invoices', as: 'billing-invoices'},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'billing/plans/', require: 'billing/plans/plans', as: 'billing-plans-plans'}
+            ]
+          ]
+        },
+        {
+          description: 'mounts the routes exported by a routes module, keeping their require paths',
+          args: ['/billing', {routes: [get('invoices', '/app/invoices', 'index', {as: 'invoices'})]}, {as: 'payments', middleware: [authenticate]}],
+          expected: [
+            {handler: 'index', httpMethod: 'GET', path: '/billing/invoices', require: '/app/invoices', as: 'payments-invoices', middleware: [authenticate], requireResolved: true}
+          ]
+        },
+        {
+          description: 'mounts applications and middleware as a route handling every verb',
+          args: ['admin', adminApp, {as: 'admin', require: 'ignored', tags: ['admin']}],
+          expected: {handler: 'mount', httpMethod: 'ALL', path: 'admin', require: '', mount: adminApp, as: 'admin', tags: ['admin']}
         }
       ]
     )
+
+    it('prefixes the relative require paths of mounted routes in namespaces', () => {
+      expect(namespace({path: 'api', require: '/app/controllers'}, [mount('billing', billingRoutes, {require: 'billing'})])).toEqual([
+        [
+          {handler: 'index', httpMethod: 'GET', path: 'api/billing/invoices', require: '/app/controllers/billing/invoices', as: 'api-billing-invoices'},
+          [
+            {handler: 'index', httpMethod: 'GET', path: 'api/billing/plans/', require: '/app/controllers/billing/plans/plans', as: 'api-billing-plans-plans'}
+          ]
+        ]
+      ])
+    })
+
+    it('keeps the empty require path of mounted applications in namespaces', () => {
+      expect(namespace({path: 'api', require: '/app/controllers'}, [mount('graphql', adminApp)])).toEqual([
+        {handler: 'mount', httpMethod: 'ALL', path: 'api/graphql', require: '', mount: adminApp}
+      ])
+    })
+
+    it('keeps the absolute require paths of mounted routes in namespaces', () => {
+      expect(namespace({path: 'api', require: '/app/controllers'}, [
+        mount('billing', billingRoutes, {require: '/node_modules/billing/controllers'}),
+        mount('payments', {routes: [get('invoices', '/app/invoices', 'index')]}),
+        get('users', 'users', 'index')
+      ])).toEqual([
+        [
+          {handler: 'index', httpMethod: 'GET', path: 'api/billing/invoices', require: '/node_modules/billing/controllers/invoices', as: 'api-billing-invoices', requireResolved: true},
+          [
+            {handler: 'index', httpMethod: 'GET', path: 'api/billing/plans/', require: '/node_modules/billing/controllers/plans/plans', as: 'api-billing-plans-plans', requireResolved: true}
+          ]
+        ],
+        [
+          {handler: 'index', httpMethod: 'GET', path: 'api/payments/invoices', require: '/app/invoices', requireResolved: true}
+        ],
+        {handler: 'index', httpMethod: 'GET', path: 'api/users', require: '/app/controllers/users'}
+      ])
+    })
+
+    it('throws for routes modules that do not export their routes', () => {
+      expect(() => mount('billing', {resolve: () => {}})).toThrow(
+        'Cannot mount billing: expected route definitions, a routes module exporting them as `routes` or an application'
+      )
+    })
   })
 })
@@ -0,0 +1,59 @@
+/* @flow */
+/* eslint-env jest */
+
+import { concern, namespaceConcernRoutes } from '~/src/dsl/concerns'
+import { get } from '~/src/dsl/http'
+import { runTestCases } from '~/test/helpers/define-cases'
+
+describe('~/src/dsl/concerns', () => {
+  const auditLog = {httpMethod: 'GET', name: 'audit-log'}
+  const comments = get('comments', 'comments', 'index', {as: 'comments'})
+
+  describe('concern', () => {
+    runTestCases(
+      ({ args, expected }) => expect(concern(...args)).toEqual(expected),
+      [
+        {
+          description: 'defines a concern with member, collection and nested routes',
+          args: ['auditable', {member: [auditLog], collection: [auditLog]}, [comments]],
+          expected: {name: 'auditable', member: [auditLog], collection: [auditLog], routes: [comments]}
+        },
+        {
+          description: 'takes the nested routes in place of the options',
+          args: ['commentable', [comments]],
+          expected: {name: 'commentable', member: [], collection: [], routes: [comments]}
+        },
+        {
+          description: 'defines an empty concern',
+          args: ['empty'],
+          expected: {name: 'empty', member: [], collection: [], routes: []}
+        }
+      ]
+    )
+  })
+
+  describe('namespaceConcernRoutes', () => {
+    runTestCases(
+      ({ args, expected }) => expect(namespaceConcernRoutes(...args)).toEqual(expected),
+      [
+        {
+          description: 'handles the member and collection routes with the controller named after the concern',
+          args: [[
+            concern('auditable', {member: [auditLog], collection: [{httpMethod: 'DELETE', name: 'audits', handler: 'clear'}]}),
+            concern('commentable', [comments])
+          ]],
+          expected: [
+            {handler: 'audit-log', httpMethod: 'GET', path: 'audit-log', require: 'auditable', as: 'audit-log'},
+            {handler: 'clear', httpMethod: 'DELETE', path: 'audits', require: 'auditable', as: 'audits'},
+            comments
+          ]
+        },
+        {
+          description: 'is empty without concerns',
+          args: [[]],
+          expected: []
+        }
+      ]
+    )
+  })
+})
@@ -2,7 +2,7 @@
 /* eslint-env jest */
 
 import R from 'ramda'
-import { destroy, get, head, patch, post, put } from '~/src/dsl/http'
+import { destroy, get, head, patch, post, put, redirect, redirectTarget, routeMetadata } from '~/src/dsl/http'
 import { runTestCases } from '~/test/helpers/define-cases'
 
 describe('~/src/dsl/http', () => {
@@ -19,7 +19,87 @@ describe('~/src/dsl/http', () => {
         [[patch, testArgs], R.merge(testExpectation, {httpMethod: 'PATCH'})],
         [[post, testArgs], R.merge(testExpectation, {httpMethod: 'POST'})],
         [[put, testArgs], R.merge(testExpectation, {httpMethod: 'PUT'})],
-        [[get, R.append({ as: 'users' }, testArgs)], R.merge(testExpectation, { httpMethod: 'GET', as: 'users' })]
+        [[get, R.append({ as: 'users' }, testArgs)], R.merge(testExpectation, { httpMethod: 'GET', as: 'users' })],
+        [[post, R.append({ middleware: [R.identity] }, testArgs)], R.merge(testExpectation, { httpMethod: 'POST', middleware: [R.identity] })],
+        [
+          [put, R.append({ summary: 'Updates', tags: ['foo'], requestSchema: { type: 'object' } }, testArgs)],
+          R.merge(testExpectation, { httpMethod: 'PUT', summary: 'Updates', tags: ['foo'], requestSchema: { type: 'object' } })
+        ]
+      ]
+    )
+  })
+
+  describe('redirect', () => {
+    const toArticle = (params) => `/articles/${params.id}`
+
+    runTestCases(
+      ({ args, expected }) => expect(redirect(...args)).toEqual(expected),
+      [
+        {
+          description: 'redirects GET requests permanently by default',
+          args: ['/posts/:id', '/articles/:id'],
+          expected: {
+            handler: 'redirect',
+            httpMethod: 'GET',
+            path: '/posts/:id',
+            require: '',
+            redirect: {to: '/articles/:id', status: 301, keepQuery: false}
+          }
+        },
+        {
+          description: 'takes the status, query string handling, verb and route options',
+          args: ['/posts/:id', toArticle, {status: 307, keepQuery: true, httpMethod: 'POST', as: 'legacy-post', tags: ['legacy']}],
+          expected: {
+            as: 'legacy-post',
+            handler: 'redirect',
+            httpMethod: 'POST',
+            path: '/posts/:id',
+            require: '',
+            tags: ['legacy'],
+            redirect: {to: toArticle, status: 307, keepQuery: true}
+          }
+        }
+      ]
+    )
+  })
+
+  describe('redirectTarget', () => {
+    runTestCases(
+      ({ args, expected }) => expect(redirectTarget(...args)).toEqual(expected),
+      [
+        {
+          description: 'is the target path',
+          args: [{to: '/articles/:id', status: 301, keepQuery: false}],
+          expected: '/articles/:id'
+        },
+        {
+          description: 'is the name of the target function',
+          args: [{to: function findArticle () { return '/' }, status: 301, keepQuery: false}],
+          expected: 'findArticle()'
+        },
+        {
+          description: 'marks anonymous target functions',
+          args: [{to: R.always('/'), status: 301, keepQuery: false}],
+          expected: '<anonymous>()'
+        }
+      ]
+    )
+  })
+
+  describe('routeMetadata', () => {
+    runTestCases(
+      ({ args, expected }) => expect(routeMetadata(...args)).toEqual(expected),
+      [
+        {
+          description: 'picks the description, tags, deprecation and meta of the route',
+          args: [get('users', 'users', 'index', {as: 'users', description: 'Lists users', tags: ['users'], deprecated: true, meta: {cache: 60}})],
+          expected: {description: 'Lists users', tags: ['users'], deprecated: true, meta: {cache: 60}}
+        },
+        {
+          description: 'is empty for routes without metadata',
+          args: [get('users', 'users', 'index', {as: 'users'})],
+          expected: {}
+        }
       ]
     )
   })
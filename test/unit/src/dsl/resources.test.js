@@ -2,7 +2,10 @@
 /* eslint-env jest */
 
 import R from 'ramda'
-import { DEFAULT_RESOURCES, resources, resourcePath } from '~/src/dsl/resources'
+import { concern } from '~/src/dsl/concerns'
+import { get } from '~/src/dsl/http'
+import { DEFAULT_RESOURCE, DEFAULT_RESOURCES, collectionRoute, memberRoute, nestedNamespace, resourceIdParam,
+  resource, resources, resourcePath, shallowNamespace } from '~/src/dsl/resources'
 import { runTestCases } from '~/test/helpers/define-cases'
 
 describe('~/src/dsl/resources', () => {
@@ -45,6 +48,78 @@ describe('~/src/dsl/resources', () => {
     )
   })
 
+  describe('DEFAULT_RESOURCE', () => {
+    runTestCases(
+      ({ args: [methodName, args], expected }) => expect(R.apply(DEFAULT_RESOURCE[methodName], args)).toEqual(expected),
+      [
+        {
+          description: 'create requires the pluralized controller module',
+          args: ['create', ['profile']],
+          expected: { httpMethod: 'POST', path: 'profile', require: 'profiles', handler: 'create' }
+        },
+        {
+          description: 'destroy does not take as: property directly, but it does modify the path',
+          args: ['destroy', ['profile', { as: 'me' }]],
+          expected: { httpMethod: 'DELETE', path: 'me', require: 'profiles', handler: 'destroy' }
+        },
+        {
+          description: 'show aliases the route with the as: property as well as manipulates the path',
+          args: ['show', ['profile', { as: 'me' }]],
+          expected: { httpMethod: 'GET', path: 'me', require: 'profiles', handler: 'show', as: 'me' }
+        },
+        {
+          description: 'update requires the pluralized controller module',
+          args: ['update', ['profile']],
+          expected: { httpMethod: 'PATCH', path: 'profile', require: 'profiles', handler: 'update' }
+        }
+      ]
+    )
+  })
+
+  describe('resource', () => {
+    runTestCases(
+      ({ args, expected }) => expect(resource(...args)).toEqual(expected),
+      [
+        {
+          description: 'generates all singular resource endpoints without an :id segment',
+          args: ['profile'],
+          expected: [
+            {handler: 'create', httpMethod: 'POST', path: 'profile', require: 'profiles'},
+            {handler: 'destroy', httpMethod: 'DELETE', path: 'profile', require: 'profiles'},
+            {handler: 'show', httpMethod: 'GET', path: 'profile', require: 'profiles', as: 'profile'},
+            {handler: 'update', httpMethod: 'PATCH', path: 'profile', require: 'profiles'}
+          ]
+        },
+
+        {
+          description: 'generates only the provided endpoints',
+          args: ['session', {only: ['create', 'destroy']}],
+          expected: [
+            {handler: 'create', httpMethod: 'POST', path: 'session', require: 'sessions'},
+            {handler: 'destroy', httpMethod: 'DELETE', path: 'session', require: 'sessions'}
+          ]
+        },
+
+        {
+          description: 'generates all endpoints except those provided',
+          args: ['profile', {except: ['create', 'destroy']}],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'profile', require: 'profiles', as: 'profile'},
+            {handler: 'update', httpMethod: 'PATCH', path: 'profile', require: 'profiles'}
+          ]
+        },
+
+        {
+          description: 'generates endpoints with given :as name instead of resource name',
+          args: ['profile', {as: 'account', only: ['show']}],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'account', require: 'profiles', as: 'account'}
+          ]
+        }
+      ]
+    )
+  })
+
   describe('resources', () => {
     runTestCases(
       ({ args, expected }) => expect(resources(...args)).toEqual(expected),
@@ -100,6 +175,12 @@ describe('~/src/dsl/resources', () => {
           ]
         },
 
+        {
+          description: 'does not generate any endpoints if only is empty',
+          args: ['users', {only: []}],
+          expected: []
+        },
+
         {
           description: 'does not generate any endpoints if only and except attributes negate each other',
           args: ['users', {only: ['destroy'], except: ['destroy']}],
@@ -116,11 +197,231 @@ describe('~/src/dsl/resources', () => {
             {handler: 'show', httpMethod: 'GET', path: 'friends/:id', require: 'users', as: 'friend'},
             {handler: 'update', httpMethod: 'PATCH', path: 'friends/:id', require: 'users'}
           ]
+        },
+
+        {
+          description: 'generates collection routes before and member routes after the default endpoints',
+          args: ['users', {
+            only: ['show'],
+            member: [{httpMethod: 'POST', name: 'activate'}],
+            collection: [{httpMethod: 'GET', name: 'search', handler: 'find'}]
+          }],
+          expected: [
+            {handler: 'find', httpMethod: 'GET', path: 'users/search', require: 'users', as: 'search-users'},
+            {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user'},
+            {handler: 'activate', httpMethod: 'POST', path: 'users/:id/activate', require: 'users', as: 'activate-user'}
+          ]
+        },
+
+        {
+          description: 'nests child resources under the parent member path, controller folder and alias',
+          args: ['users', {only: ['show']}, [resources('todos', {only: ['index', 'show', 'update']})]],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user'},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'users/:user_id/todos', require: 'users/todos', as: 'user-todos'},
+              {handler: 'show', httpMethod: 'GET', path: 'users/:user_id/todos/:id', require: 'users/todos', as: 'user-todo'},
+              {handler: 'update', httpMethod: 'PATCH', path: 'users/:user_id/todos/:id', require: 'users/todos'}
+            ]
+          ]
+        },
+
+        {
+          description: 'accepts nested routes in place of the options argument',
+          args: ['users', [resources('todos', {only: ['index']})]],
+          expected: [
+            {handler: 'create', httpMethod: 'POST', path: 'users', require: 'users'},
+            {handler: 'destroy', httpMethod: 'DELETE', path: 'users/:id', require: 'users'},
+            {handler: 'index', httpMethod: 'GET', path: 'users', require: 'users', as: 'users'},
+            {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user'},
+            {handler: 'update', httpMethod: 'PATCH', path: 'users/:id', require: 'users'},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'users/:user_id/todos', require: 'users/todos', as: 'user-todos'}
+            ]
+          ]
+        },
+
+        {
+          description: 'nests resources multiple levels deep',
+          args: ['users', {only: []}, [
+            resources('todos', {only: ['index']}, [
+              resources('comments', {only: ['show']})
+            ])
+          ]],
+          expected: [
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'users/:user_id/todos', require: 'users/todos', as: 'user-todos'},
+              [
+                {handler: 'show', httpMethod: 'GET', path: 'users/:user_id/todos/:todo_id/comments/:id', require: 'users/todos/comments', as: 'user-todo-comment'}
+              ]
+            ]
+          ]
+        },
+
+        {
+          description: 'applies resource middleware to every route, including nested routes',
+          args: ['users', {only: ['show'], middleware: [R.identity], member: [{httpMethod: 'POST', name: 'activate'}]}, [
+            resources('todos', {only: ['index'], middleware: [R.T]})
+          ]],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user', middleware: [R.identity]},
+            {handler: 'activate', httpMethod: 'POST', path: 'users/:id/activate', require: 'users', as: 'activate-user', middleware: [R.identity]},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'users/:user_id/todos', require: 'users/todos', as: 'user-todos', middleware: [R.identity, R.T]}
+            ]
+          ]
+        },
+
+        {
+          description: 'nests child resources using the parent :as name for the path and alias',
+          args: ['users', {as: 'friends', only: []}, [resources('todos', {only: ['show']})]],
+          expected: [
+            [
+              {handler: 'show', httpMethod: 'GET', path: 'friends/:friend_id/todos/:id', require: 'users/todos', as: 'friend-todo'}
+            ]
+          ]
+        },
+
+        {
+          description: 'applies the resource constraints to every route, and the id constraint to the nested id param',
+          args: ['users', {only: ['show'], constraints: {id: /\d+/}}, [
+            resources('todos', {only: ['show'], constraints: {id: /[a-f0-9]+/}})
+          ]],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: 'users', as: 'user', constraints: {id: /\d+/}},
+            [
+              {handler: 'show', httpMethod: 'GET', path: 'users/:user_id/todos/:id', require: 'users/todos', as: 'user-todo', constraints: {user_id: /\d+/, id: /[a-f0-9]+/}}
+            ]
+          ]
+        },
+
+        {
+          description: 'adds the member, collection and nested routes of the concerns after the resource\'s own',
+          args: ['posts', {
+            only: ['show'],
+            member: [{httpMethod: 'POST', name: 'publish'}],
+            concerns: [
+              concern('auditable', {member: [{httpMethod: 'GET', name: 'audit-log'}], collection: [{httpMethod: 'GET', name: 'audits', handler: 'audits'}]}),
+              concern('commentable', [resources('comments', {only: ['index']})])
+            ]
+          }],
+          expected: [
+            {handler: 'audits', httpMethod: 'GET', path: 'posts/audits', require: 'posts', as: 'audits-posts'},
+            {handler: 'show', httpMethod: 'GET', path: 'posts/:id', require: 'posts', as: 'post'},
+            {handler: 'publish', httpMethod: 'POST', path: 'posts/:id/publish', require: 'posts', as: 'publish-post'},
+            {handler: 'audit-log', httpMethod: 'GET', path: 'posts/:id/audit-log', require: 'posts', as: 'audit-log-post'},
+            [
+              {handler: 'index', httpMethod: 'GET', path: 'posts/:post_id/comments', require: 'posts/comments', as: 'post-comments'}
+            ]
+          ]
+        },
+
+        {
+          description: 'moves the nested member routes out of the parent path and alias when shallow',
+          args: ['projects', {only: ['show'], shallow: true, middleware: [R.identity]}, [
+            resources('tasks', {only: ['index', 'show'], member: [{httpMethod: 'POST', name: 'close'}]}),
+            get('stats/:year', 'stats', 'show')
+          ]],
+          expected: [
+            {handler: 'show', httpMethod: 'GET', path: 'projects/:id', require: 'projects', as: 'project', middleware: [R.identity]},
+            {handler: 'index', httpMethod: 'GET', path: 'projects/:project_id/tasks', require: 'projects/tasks', as: 'project-tasks', middleware: [R.identity]},
+            {handler: 'show', httpMethod: 'GET', path: 'projects/:project_id/stats/:year', require: 'projects/stats', middleware: [R.identity]},
+            {handler: 'show', httpMethod: 'GET', path: 'tasks/:id', require: 'projects/tasks', as: 'task', middleware: [R.identity]},
+            {handler: 'close', httpMethod: 'POST', path: 'tasks/:id/close', require: 'projects/tasks', as: 'close-task', middleware: [R.identity]}
+          ]
+        },
+
+        {
+          description: 'only nests the collection routes under their direct parent when every level is shallow',
+          args: ['orgs', {only: [], shallow: true}, [
+            resources('projects', {only: ['index', 'show'], shallow: true}, [
+              resources('tasks', {only: ['index', 'show']})
+            ])
+          ]],
+          expected: [
+            {handler: 'index', httpMethod: 'GET', path: 'orgs/:org_id/projects', require: 'orgs/projects', as: 'org-projects'},
+            {handler: 'show', httpMethod: 'GET', path: 'projects/:id', require: 'orgs/projects', as: 'project'},
+            {handler: 'index', httpMethod: 'GET', path: 'projects/:project_id/tasks', require: 'orgs/projects/tasks', as: 'project-tasks'},
+            {handler: 'show', httpMethod: 'GET', path: 'tasks/:id', require: 'orgs/projects/tasks', as: 'task'}
+          ]
         }
       ]
     )
   })
 
+  describe('collectionRoute', () => {
+    runTestCases(
+      ([args, expected]) => expect(collectionRoute(...args)).toEqual(expected),
+      [
+        [
+          ['users', undefined, {httpMethod: 'GET', name: 'search'}],
+          {handler: 'search', httpMethod: 'GET', path: 'users/search', require: 'users', as: 'search-users'}
+        ],
+        [
+          ['users', {as: 'friends'}, {httpMethod: 'POST', name: 'import', handler: 'bulkCreate'}],
+          {handler: 'bulkCreate', httpMethod: 'POST', path: 'friends/import', require: 'users', as: 'import-friends'}
+        ]
+      ]
+    )
+  })
+
+  describe('memberRoute', () => {
+    runTestCases(
+      ([args, expected]) => expect(memberRoute(...args)).toEqual(expected),
+      [
+        [
+          ['users', undefined, {httpMethod: 'POST', name: 'activate'}],
+          {handler: 'activate', httpMethod: 'POST', path: 'users/:id/activate', require: 'users', as: 'activate-user'}
+        ],
+        [
+          ['users', {as: 'friends'}, {httpMethod: 'DELETE', name: 'unfriend', handler: 'remove'}],
+          {handler: 'remove', httpMethod: 'DELETE', path: 'friends/:id/unfriend', require: 'users', as: 'unfriend-friend'}
+        ]
+      ]
+    )
+  })
+
+  describe('nestedNamespace', () => {
+    runTestCases(
+      ([args, expected]) => expect(nestedNamespace(...args)).toEqual(expected),
+      [
+        [ ['users'], {path: 'users/:user_id', require: 'users', as: 'user'} ],
+        [ ['users', {as: 'friends'}], {path: 'friends/:friend_id', require: 'users', as: 'friend'} ],
+        [ ['users', {middleware: [R.identity]}], {path: 'users/:user_id', require: 'users', as: 'user', middleware: [R.identity]} ],
+        [
+          ['users', {description: 'Users', tags: ['users'], deprecated: true, meta: {admin: true}}],
+          {path: 'users/:user_id', require: 'users', as: 'user', tags: ['users'], deprecated: true, meta: {admin: true}}
+        ],
+        [
+          ['users', {constraints: {id: /\d+/, slug: /[a-z]+/}}],
+          {path: 'users/:user_id', require: 'users', as: 'user', constraints: {user_id: /\d+/}}
+        ],
+        [ ['users', {constraints: {slug: /[a-z]+/}}], {path: 'users/:user_id', require: 'users', as: 'user'} ],
+        [ ['resource-with-hyphens'], {path: 'resource-with-hyphens/:resource_with_hyphen_id', require: 'resource-with-hyphens', as: 'resource-with-hyphen'} ]
+      ]
+    )
+  })
+
+  describe('shallowNamespace', () => {
+    runTestCases(
+      ([args, expected]) => expect(shallowNamespace(...args)).toEqual(expected),
+      [
+        [ ['projects'], {path: '', require: 'projects'} ],
+        [ ['projects', {as: 'boards', middleware: [R.identity], constraints: {id: /\d+/}}], {path: '', require: 'projects', middleware: [R.identity]} ]
+      ]
+    )
+  })
+
+  describe('resourceIdParam', () => {
+    runTestCases(
+      ([args, expected]) => expect(resourceIdParam(...args)).toEqual(expected),
+      [
+        [ ['user'], 'user_id' ],
+        [ ['resource-with-hyphen'], 'resource_with_hyphen_id' ]
+      ]
+    )
+  })
+
   describe('resourcePath', () => {
     runTestCases(
       ([args, expected]) => expect(resourcePath(...args)).toEqual(expected),
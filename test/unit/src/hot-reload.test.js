@@ -0,0 +1,222 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import { describeRouteChanges, registerHotReload } from '~/src/hot-reload'
+import { redirectRouteModule, registerExpressRoute, type Router } from '~/src/router'
+import { makeResponse } from '~/test/helpers/make-response'
+
+describe('~/src/hot-reload', () => {
+  const usersController = {
+    index: (req, res) => res.end('index'),
+    search: (req, res) => res.end('search')
+  }
+  const usersIndex = {handler: 'index', httpMethod: 'GET', path: '/users', require: 'users'}
+  const usersSearch = {handler: 'search', httpMethod: 'GET', path: '/users/search', require: 'users'}
+  const profileShow = {handler: 'show', httpMethod: 'GET', path: '/profile', require: 'profiles'}
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  const setup = (routers: Array<Router | Error>, debounce?: number) => {
+    const [initialRouter, ...resolvedRouters] = routers
+    const app = { use: jest.fn() }
+    const logger = { log: jest.fn(), error: jest.fn() }
+    const watchers = {}
+    const watchErrors = {}
+    const watch = jest.fn((file, listener) => {
+      if (R.has(file, watchErrors)) {
+        throw watchErrors[file]
+      }
+      const watcher = { close: jest.fn(), listener }
+      watchers[file] = R.append(watcher, R.propOr([], file, watchers))
+      return watcher
+    })
+    const requireCache = { '/app/routes.js': {}, '/app/users.js': {}, '/app/other.js': {} }
+    const routesModule = {
+      resolve: () => {
+        const router = resolvedRouters.length > 1 ? resolvedRouters.shift() : resolvedRouters[0]
+        if (router instanceof Error) {
+          throw router
+        }
+        return router
+      }
+    }
+    const resolveModule = (path: string) => {
+      if (path === 'profiles') {
+        throw new Error(`Cannot find module '${path}'`)
+      }
+      return `/app/${path}.js`
+    }
+    if (initialRouter instanceof Error) {
+      throw initialRouter
+    }
+    const reloader = registerHotReload(app, initialRouter, registerExpressRoute, {
+      routesFile: '/app/routes.js',
+      logger,
+      watch,
+      requireModule: R.always(routesModule),
+      resolveModule,
+      requireCache,
+      debounce
+    })
+    const dispatch = (url: string) => {
+      const res = makeResponse()
+      const next = jest.fn()
+      app.use.mock.calls[0][0]({ method: 'GET', url }, res, next)
+      jest.runAllImmediates()
+      return [res, next]
+    }
+
+    return { app, logger, watch, watchers, watchErrors, requireCache, reloader, dispatch }
+  }
+
+  describe('registerHotReload', () => {
+    it('serves the routes registered by the registrar through a single middleware', () => {
+      const { app, dispatch } = setup([{routes: [[usersIndex, usersController]], invalidRoutes: []}])
+      const [res] = dispatch('/users')
+      const [, next] = dispatch('/missing')
+
+      expect(app.use).toHaveBeenCalledTimes(1)
+      expect(res.end).toHaveBeenCalledWith('index')
+      expect(next).toHaveBeenCalled()
+    })
+
+    it('registers the routes with the Express route patterns', () => {
+      const userShow = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: 'users', constraints: {id: /\d+/}}
+      const { dispatch } = setup([{routes: [[userShow, {show: (req, res) => res.end(req.params.id)}]], invalidRoutes: []}])
+
+      expect(dispatch('/users/12')[0].end).toHaveBeenCalledWith('12')
+      expect(dispatch('/users/sally')[1]).toHaveBeenCalled()
+    })
+
+    it('watches the routes file and the modules that can be resolved', () => {
+      const { watch } = setup([{routes: [[usersIndex, usersController], [usersSearch, usersController]], invalidRoutes: [[profileShow, new Error()]]}])
+      expect(R.map(R.head, watch.mock.calls)).toEqual(['/app/routes.js', '/app/users.js'])
+    })
+
+    it('does not watch the namespace modules of the redirect routes', () => {
+      const postsRedirect = {handler: 'redirect', httpMethod: 'GET', path: '/posts', require: 'other', redirect: {to: '/articles', status: 301, keepQuery: false}}
+      const { watch } = setup([{routes: [[usersIndex, usersController], redirectRouteModule(postsRedirect)], invalidRoutes: []}])
+      expect(R.map(R.head, watch.mock.calls)).toEqual(['/app/routes.js', '/app/users.js'])
+    })
+
+    it('clears the watched modules from the require cache and swaps in the reloaded routes on changes', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [[usersSearch, usersController]], invalidRoutes: []}
+      const { logger, watchers, requireCache, reloader, dispatch } = setup([first, second])
+
+      watchers['/app/users.js'][0].listener()
+      jest.runAllTimers()
+
+      expect(R.keys(requireCache)).toEqual(['/app/other.js'])
+      expect(reloader.router()).toBe(second)
+      expect(dispatch('/users/search')[0].end).toHaveBeenCalledWith('search')
+      expect(logger.log).toHaveBeenCalledWith('[flauta] /app/users.js changed, reloaded the routes (added GET /users/search, removed GET /users)')
+      expect(watchers['/app/users.js'][0].close).toHaveBeenCalled()
+      expect(watchers['/app/users.js']).toHaveLength(2)
+    })
+
+    it('reloads once after a burst of changes', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [[usersSearch, usersController]], invalidRoutes: []}
+      const { logger, watchers, reloader } = setup([first, second, first])
+
+      watchers['/app/users.js'][0].listener()
+      jest.runTimersToTime(50)
+      watchers['/app/routes.js'][0].listener()
+      watchers['/app/users.js'][0].listener()
+      jest.runTimersToTime(99)
+      expect(reloader.router()).toBe(first)
+
+      jest.runTimersToTime(1)
+      expect(reloader.router()).toBe(second)
+      expect(logger.log.mock.calls).toEqual([
+        ['[flauta] /app/users.js changed, reloaded the routes (added GET /users/search, removed GET /users)']
+      ])
+    })
+
+    it('waits for the given debounce delay and cancels the pending reload when closed', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [[usersSearch, usersController]], invalidRoutes: []}
+      const { watchers, reloader } = setup([first, second], 500)
+
+      watchers['/app/users.js'][0].listener()
+      jest.runTimersToTime(499)
+      expect(reloader.router()).toBe(first)
+      jest.runTimersToTime(1)
+      expect(reloader.router()).toBe(second)
+
+      watchers['/app/users.js'][1].listener()
+      reloader.close()
+      jest.runAllTimers()
+      expect(reloader.router()).toBe(second)
+    })
+
+    it('keeps the previous routes when the reloaded routes have invalid routes', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [], invalidRoutes: [[profileShow, new Error('Cannot find module \'profiles\'')]]}
+      const { logger, reloader, dispatch } = setup([first, second])
+
+      expect(reloader.reload()).toBe(first)
+      expect(dispatch('/users')[0].end).toHaveBeenCalledWith('index')
+      expect(logger.error).toHaveBeenCalledWith(
+        '[flauta] Reloading, kept the previous routes because of 1 invalid route(s): GET /profile (Cannot find module \'profiles\')'
+      )
+    })
+
+    it('keeps the previous routes when the routes file fails to load', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const { logger, reloader } = setup([first, new Error('Unexpected token')])
+
+      expect(reloader.reload('/app/routes.js')).toBe(first)
+      expect(logger.error).toHaveBeenCalledWith('[flauta] /app/routes.js changed, kept the previous routes: Unexpected token')
+    })
+
+    it('keeps the previous routes when the reloaded routes fail to register', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [[usersIndex, {index: 'index'}]], invalidRoutes: []}
+      const { logger, reloader, dispatch } = setup([first, second])
+
+      expect(reloader.reload()).toBe(first)
+      expect(dispatch('/users')[0].end).toHaveBeenCalledWith('index')
+      expect(logger.error.mock.calls[0][0]).toMatch(/^\[flauta\] Reloading, kept the previous routes: Route\.get\(\) requires a callback function/)
+    })
+
+    it('logs the files which can no longer be watched and keeps watching the others', () => {
+      const first = {routes: [[usersIndex, usersController]], invalidRoutes: []}
+      const second = {routes: [[usersSearch, usersController]], invalidRoutes: []}
+      const { logger, watchers, watchErrors, reloader } = setup([first, second])
+
+      watchErrors['/app/users.js'] = new Error('ENOENT: no such file or directory, watch \'/app/users.js\'')
+      watchers['/app/routes.js'][0].listener()
+      expect(() => jest.runAllTimers()).not.toThrow()
+
+      expect(reloader.router()).toBe(second)
+      expect(logger.error).toHaveBeenCalledWith(
+        '[flauta] Could not watch /app/users.js, its changes won\'t reload the routes: ENOENT: no such file or directory, watch \'/app/users.js\''
+      )
+      expect(watchers['/app/routes.js']).toHaveLength(2)
+    })
+
+    it('stops watching the files when closed', () => {
+      const { watchers, reloader } = setup([{routes: [[usersIndex, usersController]]}])
+
+      reloader.close()
+      expect(watchers['/app/routes.js'][0].close).toHaveBeenCalled()
+      expect(watchers['/app/users.js'][0].close).toHaveBeenCalled()
+    })
+  })
+
+  describe('describeRouteChanges', () => {
+    it('lists the added and removed routes', () => {
+      const previous = {routes: [[usersIndex, {}], [profileShow, {}]]}
+
+      expect(describeRouteChanges(previous, {routes: [[usersIndex, {}], [usersSearch, {}]]}))
+        .toEqual(' (added GET /users/search, removed GET /profile)')
+      expect(describeRouteChanges(previous, {routes: [[usersIndex, {}]]})).toEqual(' (removed GET /profile)')
+      expect(describeRouteChanges(previous, {routes: [null, [profileShow, {}], [usersIndex, {}]]})).toEqual('')
+    })
+  })
+})
@@ -0,0 +1,364 @@
+/* @flow */
+/* eslint-env jest */
+
+import { compileMountPath, compilePath, expandOptionalSegments, expressParamPattern, expressPaths, matchCompiledPath, matchConstraint, matchHttpMethod,
+  matchPath, normalizePath, parsePath, pathParams } from '~/src/matcher'
+import { runTestCases } from '~/test/helpers/define-cases'
+
+describe('~/src/matcher', () => {
+  describe('compilePath', () => {
+    runTestCases(
+      ([args, expected]) => expect(compilePath(...args)).toEqual(expected),
+      [
+        [ ['users'], { keys: [], regexp: /^\/users$/ } ],
+        [ ['/users/:id'], { keys: ['id'], regexp: /^\/users\/([^/]+?)$/ } ],
+        [ ['users/:user_id/todos/:id'], { keys: ['user_id', 'id'], regexp: /^\/users\/([^/]+?)\/todos\/([^/]+?)$/ } ],
+        [ ['files/report.pdf'], { keys: [], regexp: /^\/files\/report\.pdf$/ } ],
+        [ ['users/:id', { id: /\d+/ }], { keys: ['id'], regexp: /^\/users\/([^/]+?)$/, constraints: { id: /\d+/ } } ],
+        [ ['files/*path(.:format)'], { keys: ['path', 'format'], regexp: /^\/files\/(.+?)(?:\.([^/.]+?))?$/ } ]
+      ]
+    )
+  })
+
+  describe('compileMountPath', () => {
+    runTestCases(
+      ({ args, expected }) => expect(compileMountPath(...args)).toEqual(expected),
+      [
+        {
+          description: 'matches the paths under the mount path',
+          args: ['admin'],
+          expected: { keys: [], regexp: /^\/admin(?=\/|$)/ }
+        },
+        {
+          description: 'matches every path under the root path',
+          args: ['/'],
+          expected: { keys: [], regexp: /^(?=\/|$)/ }
+        },
+        {
+          description: 'keeps the params and constraints',
+          args: ['accounts/:account_id/', { account_id: /\d+/ }],
+          expected: { keys: ['account_id'], regexp: /^\/accounts\/([^/]+?)(?=\/|$)/, constraints: { account_id: /\d+/ } }
+        }
+      ]
+    )
+
+    it('matches the mount path and the paths under it', () => {
+      const compiledPath = compileMountPath('admin')
+      expect([
+        matchCompiledPath(compiledPath, '/admin'),
+        matchCompiledPath(compiledPath, '/admin/users/1'),
+        matchCompiledPath(compiledPath, '/administrators')
+      ]).toEqual([{}, {}, null])
+    })
+  })
+
+  describe('expandOptionalSegments', () => {
+    runTestCases(
+      ([args, expected]) => expect(expandOptionalSegments(...args)).toEqual(expected),
+      [
+        [ ['users/:id'], ['users/:id'] ],
+        [ ['posts(/:page)'], ['posts/:page', 'posts'] ],
+        [ ['posts(/:year(/:month))'], ['posts/:year/:month', 'posts/:year', 'posts'] ],
+        [ ['files/*path(.:format)'], ['files/*path.:format', 'files/*path'] ],
+        [ ['(:locale/)posts(/:page)'], [':locale/posts/:page', ':locale/posts', 'posts/:page', 'posts'] ]
+      ]
+    )
+  })
+
+  describe('expressPaths', () => {
+    runTestCases(
+      ({ args, expected }) => expect(expressPaths(...args)).toEqual(expected),
+      [
+        {
+          description: 'leaves paths without constraints, splats or optional groups unchanged',
+          args: ['users/:id'],
+          expected: ['users/:id']
+        },
+        {
+          description: 'appends the constraint pattern to the param',
+          args: ['/users/:user_id/posts/:slug', { user_id: /\d+/, slug: /[a-z0-9-]+/ }],
+          expected: ['/users/:user_id(\\d+)/posts/:slug([a-z0-9-]+)']
+        },
+        {
+          description: 'strips the anchors of the pattern',
+          args: [':id', { id: /^\d+$/ }],
+          expected: [':id(\\d+)']
+        },
+        {
+          description: 'only constrains whole params',
+          args: ['users/:id/:id_type', { id: /\d+/ }],
+          expected: ['users/:id(\\d+)/:id_type']
+        },
+        {
+          description: 'ignores constraints of params missing from the path',
+          args: ['users', { id: /\d+/ }],
+          expected: ['users']
+        },
+        {
+          description: 'expands the optional groups',
+          args: ['users/:id(.:format)', { format: /json|xml/ }],
+          expected: ['users/:id.:format(json|xml)', 'users/:id']
+        },
+        {
+          description: 'matches splats across segments, unless they are constrained',
+          args: ['files/*path/raw/*rest', { rest: /[a-z.]+/ }],
+          expected: ['files/:path(.+)/raw/:rest([a-z.]+)']
+        }
+      ]
+    )
+
+    it('throws for the constraints of the path params which are not supported', () => {
+      expect(() => expressPaths('posts/:slug', { slug: /abc/i })).toThrowError(
+        'Unsupported constraint /abc/i for :slug, Express and koa-router param patterns can\'t have flags'
+      )
+    })
+  })
+
+  describe('expressParamPattern', () => {
+    runTestCases(
+      ({ args, expected }) => expect(expressParamPattern(...args)).toEqual(expected),
+      [
+        {description: 'keeps simple patterns', args: ['id', /\d+/], expected: '\\d+'},
+        {description: 'strips the leading and trailing anchors', args: ['id', /^\d+$/], expected: '\\d+'},
+        {description: 'keeps alternations', args: ['format', /json|xml/], expected: 'json|xml'},
+        {description: 'keeps the anchors and parens of character classes and escapes', args: ['id', /[^$()]+\$/], expected: '[^$()]+\\$'},
+        {description: 'ignores the global and sticky flags', args: ['id', /\d+/gy], expected: '\\d+'}
+      ]
+    )
+
+    runTestCases(
+      ({ args, expected }) => expect(() => expressParamPattern(...args)).toThrowError(expected),
+      [
+        {
+          description: 'rejects flags',
+          args: ['slug', /abc/i],
+          expected: 'Unsupported constraint /abc/i for :slug, Express and koa-router param patterns can\'t have flags'
+        },
+        {
+          description: 'rejects groups',
+          args: ['slug', /(?:a|b)c/],
+          expected: 'Unsupported constraint /(?:a|b)c/ for :slug, Express and koa-router param patterns can\'t have groups'
+        },
+        {
+          description: 'rejects the anchors of alternatives',
+          args: ['slug', /^a$|^b$/],
+          expected: 'Unsupported constraint /^a$|^b$/ for :slug, Express and koa-router param patterns can\'t have anchors other than a leading ^ and a trailing $'
+        }
+      ]
+    )
+  })
+
+  describe('matchCompiledPath', () => {
+    it('matches against a pre-compiled path', () => {
+      expect(matchCompiledPath(compilePath('users/:id'), '/users/1')).toEqual({ id: '1' })
+    })
+
+    it('matches param values satisfying the constraints', () => {
+      expect(matchCompiledPath(compilePath('users/:id', { id: /\d+/ }), '/users/12')).toEqual({ id: '12' })
+    })
+
+    it('does not match param values violating the constraints', () => {
+      expect(matchCompiledPath(compilePath('users/:id', { id: /\d+/ }), '/users/sally')).toBeNull()
+    })
+
+    it('checks the constraints against the decoded param values', () => {
+      expect(matchCompiledPath(compilePath('tags/:name', { name: /[a-z ]+/ }), '/tags/new%20york')).toEqual({ name: 'new york' })
+    })
+  })
+
+  describe('matchCompiledPath with optional groups and splats', () => {
+    runTestCases(
+      ({ args: [routePath, urlPath], expected }) => expect(matchCompiledPath(compilePath(routePath), urlPath)).toEqual(expected),
+      [
+        {
+          description: 'matches paths without the optional groups, omitting their params',
+          args: ['posts(/:page)', '/posts'],
+          expected: {}
+        },
+        {
+          description: 'matches paths with the optional groups',
+          args: ['posts(/:page)', '/posts/2'],
+          expected: { page: '2' }
+        },
+        {
+          description: 'matches splats across segments',
+          args: ['files/*path', '/files/docs/read%20me.txt'],
+          expected: { path: 'docs/read me.txt' }
+        },
+        {
+          description: 'requires a value for the splats',
+          args: ['files/*path', '/files'],
+          expected: null
+        },
+        {
+          description: 'matches the format suffix after the last dot',
+          args: ['files/*path(.:format)', '/files/docs/report.tar.gz'],
+          expected: { path: 'docs/report.tar', format: 'gz' }
+        },
+        {
+          description: 'matches params followed by a format suffix',
+          args: ['users/:id(.:format)', '/users/1.json'],
+          expected: { id: '1', format: 'json' }
+        },
+        {
+          description: 'matches params with dots without a format suffix',
+          args: ['users/:id(.:format)', '/users/v1.2.json'],
+          expected: { id: 'v1.2', format: 'json' }
+        }
+      ]
+    )
+  })
+
+  describe('matchConstraint', () => {
+    runTestCases(
+      ({ args, expected }) => expect(matchConstraint(...args)).toEqual(expected),
+      [
+        { description: 'matches values matching the constraint', args: [/\d+/, '12'], expected: true },
+        { description: 'requires the whole value to match', args: [/\d+/, '12a'], expected: false },
+        { description: 'requires each alternative to match the whole value', args: [/a|b/, 'ab'], expected: false },
+        { description: 'keeps the constraint flags', args: [/[a-z]+/i, 'Sally'], expected: true },
+        { description: 'ignores the global flag', args: [/\d+/g, '12'], expected: true }
+      ]
+    )
+  })
+
+  describe('matchHttpMethod', () => {
+    runTestCases(
+      ([args, expected]) => expect(matchHttpMethod(...args)).toEqual(expected),
+      [
+        [['GET', 'GET'], true],
+        [['get', 'GET'], true],
+        [['HEAD', 'GET'], true],
+        [['HEAD', 'HEAD'], true],
+        [['POST', 'GET'], false],
+        [['GET', 'HEAD'], false],
+        [['DELETE', 'ALL'], true]
+      ]
+    )
+  })
+
+  describe('matchPath', () => {
+    runTestCases(
+      ({ args, expected }) => expect(matchPath(...args)).toEqual(expected),
+      [
+        {
+          description: 'matches static paths',
+          args: ['api/v1/users', '/api/v1/users'],
+          expected: {}
+        },
+        {
+          description: 'extracts params',
+          args: ['users/:user_id/todos/:id', '/users/1/todos/2'],
+          expected: { user_id: '1', id: '2' }
+        },
+        {
+          description: 'ignores trailing and duplicate slashes',
+          args: ['/api/v1/', '//api/v1/'],
+          expected: {}
+        },
+        {
+          description: 'decodes param values',
+          args: ['users/:id', '/users/sally%20smith'],
+          expected: { id: 'sally smith' }
+        },
+        {
+          description: 'does not match malformed param values',
+          args: ['users/:id', '/users/%E0%A4%A'],
+          expected: null
+        },
+        {
+          description: 'does not match other paths',
+          args: ['users/:id', '/todos/1'],
+          expected: null
+        },
+        {
+          description: 'does not match partial paths',
+          args: ['users/:id', '/users/1/todos'],
+          expected: null
+        },
+        {
+          description: 'does not treat regular expression characters in the path as patterns',
+          args: ['files/report.pdf', '/files/reportxpdf'],
+          expected: null
+        }
+      ]
+    )
+  })
+
+  describe('parsePath', () => {
+    runTestCases(
+      ({ args, expected }) => expect(parsePath(...args)).toEqual(expected),
+      [
+        {
+          description: 'parses static text and params',
+          args: ['users/:user_id/todos/:id'],
+          expected: [
+            { type: 'static', value: 'users/' },
+            { type: 'param', name: 'user_id' },
+            { type: 'static', value: '/todos/' },
+            { type: 'param', name: 'id' }
+          ]
+        },
+        {
+          description: 'parses splats, format suffixes and nested optional groups',
+          args: ['files/*path(/:page(.:format))'],
+          expected: [
+            { type: 'static', value: 'files/' },
+            { type: 'splat', name: 'path' },
+            {
+              type: 'optional',
+              tokens: [
+                { type: 'static', value: '/' },
+                { type: 'param', name: 'page' },
+                { type: 'optional', tokens: [{ type: 'static', value: '.' }, { type: 'param', name: 'format' }] }
+              ]
+            }
+          ]
+        },
+        {
+          description: 'closes unbalanced optional groups at the end of the path',
+          args: ['posts(/:page'],
+          expected: [
+            { type: 'static', value: 'posts' },
+            { type: 'optional', tokens: [{ type: 'static', value: '/' }, { type: 'param', name: 'page' }] }
+          ]
+        },
+        {
+          description: 'keeps unbalanced closing parentheses, colons and stars as static text',
+          args: ['a)b/:/*'],
+          expected: [
+            { type: 'static', value: 'a' },
+            { type: 'static', value: ')' },
+            { type: 'static', value: 'b/' },
+            { type: 'static', value: ':' },
+            { type: 'static', value: '/' },
+            { type: 'static', value: '*' }
+          ]
+        }
+      ]
+    )
+  })
+
+  describe('pathParams', () => {
+    runTestCases(
+      ([args, expected]) => expect(pathParams(...args)).toEqual(expected),
+      [
+        [ ['users'], [] ],
+        [ ['users/:user_id/todos/:id'], [{ name: 'user_id', optional: false, splat: false }, { name: 'id', optional: false, splat: false }] ],
+        [ ['files/*path(.:format)'], [{ name: 'path', optional: false, splat: true }, { name: 'format', optional: true, splat: false }] ]
+      ]
+    )
+  })
+
+  describe('normalizePath', () => {
+    runTestCases(
+      ([args, expected]) => expect(normalizePath(...args)).toEqual(expected),
+      [
+        [ [''], '/' ],
+        [ ['/'], '/' ],
+        [ ['api/v1/'], '/api/v1' ],
+        [ ['//api//v1'], '/api/v1' ]
+      ]
+    )
+  })
+})
@@ -0,0 +1,160 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import { openApiDocument, openApiPath, operationId, routeToOperation } from '~/src/openapi'
+import { runTestCases } from '~/test/helpers/define-cases'
+
+describe('~/src/openapi', () => {
+  const usersIndex = {handler: 'index', httpMethod: 'GET', path: '/api/v1/users', require: '/app/users', as: 'api-v1-users'}
+  const usersCreate = {
+    handler: 'create',
+    httpMethod: 'POST',
+    path: '/api/v1/users',
+    require: '/app/users',
+    summary: 'Creates a user',
+    description: 'Signs up a new user',
+    tags: ['users'],
+    deprecated: true,
+    requestSchema: {type: 'object', properties: {name: {type: 'string'}}},
+    responseSchema: {$ref: '#/components/schemas/User'}
+  }
+  const todoShow = {handler: 'show', httpMethod: 'GET', path: 'users/:user_id/todos/:id', require: '/app/todos', as: 'user-todo'}
+
+  describe('openApiDocument', () => {
+    const router = {routes: [[usersIndex, {}], [usersCreate, {}], [todoShow, {}]], invalidRoutes: []}
+
+    it('builds a document with an operation per valid route', () => {
+      expect(openApiDocument(router)).toEqual({
+        openapi: '3.0.0',
+        info: {title: 'API', version: '1.0.0'},
+        paths: {
+          '/api/v1/users': {
+            get: routeToOperation(usersIndex),
+            post: routeToOperation(usersCreate)
+          },
+          '/users/{user_id}/todos/{id}': {
+            get: routeToOperation(todoShow)
+          }
+        }
+      })
+    })
+
+    it('adds an operation per expanded path of the routes with optional groups', () => {
+      const filesShow = {handler: 'show', httpMethod: 'GET', path: 'files/*path(.:format)', require: '/app/files', as: 'file'}
+      const {paths} = openApiDocument({routes: [[filesShow, {}]], invalidRoutes: []})
+
+      expect(R.keys(paths)).toEqual(['/files/{path}.{format}', '/files/{path}'])
+      expect(paths['/files/{path}.{format}'].get.operationId).toEqual('file')
+      expect(paths['/files/{path}'].get).toEqual(R.merge(
+        routeToOperation(R.assoc('path', 'files/*path', filesShow)),
+        {operationId: 'file-2'}
+      ))
+    })
+
+    it('leaves out the mounted applications', () => {
+      const adminMount = {handler: 'mount', httpMethod: 'ALL', path: '/admin', require: '', mount: () => {}}
+      const {paths} = openApiDocument({routes: [[usersIndex, {}], [adminMount, {}]], invalidRoutes: []})
+
+      expect(R.keys(paths)).toEqual(['/api/v1/users'])
+    })
+
+    it('applies the given info and servers', () => {
+      const actual = openApiDocument(
+        {routes: [], invalidRoutes: []},
+        {title: 'Todos', version: '2.1.0', servers: [{url: 'https://api.example.com'}]}
+      )
+
+      expect(actual).toEqual({
+        openapi: '3.0.0',
+        info: {title: 'Todos', version: '2.1.0'},
+        servers: [{url: 'https://api.example.com'}],
+        paths: {}
+      })
+    })
+  })
+
+  describe('openApiPath', () => {
+    runTestCases(
+      ({ args, expected }) => expect(openApiPath(...args)).toEqual(expected),
+      [
+        {description: 'normalizes paths without params', args: ['users/'], expected: '/users'},
+        {description: 'converts params to path templates', args: ['/users/:user_id/todos/:id'], expected: '/users/{user_id}/todos/{id}'},
+        {description: 'converts splats and format suffixes to path templates', args: ['files/*path.:format'], expected: '/files/{path}.{format}'}
+      ]
+    )
+  })
+
+  describe('operationId', () => {
+    runTestCases(
+      ({ args, expected }) => expect(operationId(...args)).toEqual(expected),
+      [
+        {description: 'uses the alias of aliased routes', args: [todoShow], expected: 'user-todo'},
+        {description: 'joins the handler and the static path segments', args: [usersCreate], expected: 'create-api-v1-users'},
+        {
+          description: 'skips the param segments',
+          args: [{handler: 'activate', httpMethod: 'POST', path: '/users/:id/activate', require: '/app/users'}],
+          expected: 'activate-users-activate'
+        },
+        {
+          description: 'skips the splat segments and the optional groups',
+          args: [{handler: 'show', httpMethod: 'GET', path: '/files/*path(/raw)', require: '/app/files'}],
+          expected: 'show-files-raw'
+        },
+        {description: 'uses the handler for the root path', args: [{handler: 'root', httpMethod: 'GET', path: '/', require: '/app/home'}], expected: 'root'}
+      ]
+    )
+  })
+
+  describe('routeToOperation', () => {
+    it('builds a minimal operation for routes without metadata', () => {
+      expect(routeToOperation(usersIndex)).toEqual({
+        operationId: 'api-v1-users',
+        responses: {'200': {description: 'Successful response'}}
+      })
+    })
+
+    it('adds the path parameters', () => {
+      expect(routeToOperation(todoShow).parameters).toEqual([
+        {name: 'user_id', in: 'path', required: true, schema: {type: 'string'}},
+        {name: 'id', in: 'path', required: true, schema: {type: 'string'}}
+      ])
+    })
+
+    it('adds the constraints as parameter patterns', () => {
+      expect(routeToOperation(R.assoc('constraints', {id: /^\d+$/}, todoShow)).parameters).toEqual([
+        {name: 'user_id', in: 'path', required: true, schema: {type: 'string'}},
+        {name: 'id', in: 'path', required: true, schema: {type: 'string', pattern: '^(?:\\d+)$'}}
+      ])
+    })
+
+    it('documents the status and target of the redirect routes', () => {
+      const postsRedirect = {
+        handler: 'redirect',
+        httpMethod: 'GET',
+        path: '/posts/:id',
+        require: '',
+        redirect: {to: '/articles/:id', status: 308, keepQuery: false}
+      }
+
+      expect(routeToOperation(postsRedirect).responses).toEqual({'308': {description: 'Redirect to /articles/:id'}})
+    })
+
+    it('adds the summary, tags and request and response schemas', () => {
+      expect(routeToOperation(usersCreate)).toEqual({
+        operationId: 'create-api-v1-users',
+        summary: 'Creates a user',
+        description: 'Signs up a new user',
+        tags: ['users'],
+        deprecated: true,
+        requestBody: {content: {'application/json': {schema: usersCreate.requestSchema}}},
+        responses: {
+          '200': {
+            description: 'Successful response',
+            content: {'application/json': {schema: usersCreate.responseSchema}}
+          }
+        }
+      })
+    })
+  })
+})
@@ -0,0 +1,195 @@
+/* @flow */
+/* eslint-env jest */
+
+import R from 'ramda'
+import { redirect } from '~/src/dsl/http'
+import { checkRouter, filterRouter, formatRouter, routeFilter } from '~/src/printer'
+import { runTestCases } from '~/test/helpers/define-cases'
+
+describe('~/src/printer', () => {
+  const authenticate = () => {}
+  const usersIndex = {handler: 'index', httpMethod: 'GET', path: '/users', require: '/app/controllers/users', as: 'users', middleware: [authenticate], tags: ['users']}
+  const usersShow = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '/app/controllers/users', as: 'user', description: 'Shows a user, "by id"', deprecated: true}
+  const usersCreate = {handler: 'create', httpMethod: 'POST', path: '/users', require: '/app/controllers/users'}
+  const adminMount = {handler: 'mount', httpMethod: 'ALL', path: '/admin', require: '', mount: function adminApp () {}}
+  const oldUsers = R.merge(redirect('/people', '/users', {status: 302}), {path: '/people'})
+  const bogusCreate = {handler: 'create', httpMethod: 'POST', path: '/bogus', require: '/app/controllers/boguses'}
+  const conflict = {type: 'duplicate-alias', message: 'Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id', routes: [usersShow, usersShow]}
+
+  const router = {
+    routes: [[usersIndex, {}], [usersShow, {}], [usersCreate, {}], [adminMount, {}], [oldUsers, {}]],
+    invalidRoutes: [[bogusCreate, new Error('Cannot find module \'/app/controllers/boguses\'')]],
+    paths: { users: () => '/users', user: () => '/users/1' },
+    conflicts: [conflict]
+  }
+
+  describe('formatRouter', () => {
+    it('lays out the routes, invalid routes and conflicts in aligned tables', () => {
+      expect(R.map(R.trim, R.split('\n', formatRouter('text', router)))).toEqual([
+        '[Valid Routes]',
+        'Path Helper    Verb    URI Pattern    Controller Module         Handler     Middleware      Tags     Description',
+        'users          GET     /users         /app/controllers/users    index       authenticate    users',
+        'user           GET     /users/:id     /app/controllers/users    show                                 (deprecated) Shows a user, "by id"',
+        'POST    /users         /app/controllers/users    create',
+        'ALL     /admin         (mount) adminApp          mount',
+        'GET     /people        (redirect 302) /users     redirect',
+        '[Invalid Routes]',
+        'Verb    URI Pattern    Controller Module           Handler    Error',
+        'POST    /bogus         /app/controllers/boguses    create     Cannot find module \'/app/controllers/boguses\'',
+        '[Conflicts]',
+        'Conflict           Description',
+        'duplicate-alias    Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id'
+      ])
+    })
+
+    it('formats nothing for an empty router', () => {
+      expect(formatRouter('text', { routes: [] })).toEqual('')
+    })
+
+    it('formats the routes as JSON records', () => {
+      expect(JSON.parse(formatRouter('json', router))).toEqual({
+        routes: [
+          {as: 'users', httpMethod: 'GET', path: '/users', require: '/app/controllers/users', handler: 'index', middleware: ['authenticate'], tags: ['users']},
+          {as: 'user', httpMethod: 'GET', path: '/users/:id', require: '/app/controllers/users', handler: 'show', middleware: [], description: 'Shows a user, "by id"', deprecated: true},
+          {httpMethod: 'POST', path: '/users', require: '/app/controllers/users', handler: 'create', middleware: []},
+          {httpMethod: 'ALL', path: '/admin', require: '', handler: 'mount', middleware: []},
+          {httpMethod: 'GET', path: '/people', require: '', handler: 'redirect', middleware: [], redirect: {to: '/users', status: 302, keepQuery: false}}
+        ],
+        invalidRoutes: [
+          {httpMethod: 'POST', path: '/bogus', require: '/app/controllers/boguses', handler: 'create', error: 'Cannot find module \'/app/controllers/boguses\''}
+        ],
+        paths: ['user', 'users'],
+        conflicts: [R.pick(['type', 'message'], conflict)]
+      })
+    })
+
+    it('formats the routes as CSV records, quoting the fields with special characters', () => {
+      expect(R.split('\n', formatRouter('csv', router))).toEqual([
+        'Status,Path Helper,Verb,URI Pattern,Controller Module,Handler,Middleware,Tags,Deprecated,Description,Error',
+        'valid,users,GET,/users,/app/controllers/users,index,authenticate,users,,,',
+        'valid,user,GET,/users/:id,/app/controllers/users,show,,,true,"Shows a user, ""by id""",',
+        'valid,,POST,/users,/app/controllers/users,create,,,,,',
+        'valid,,ALL,/admin,(mount) adminApp,mount,,,,,',
+        'valid,,GET,/people,(redirect 302) /users,redirect,,,,,',
+        'invalid,,POST,/bogus,/app/controllers/boguses,create,,,,,Cannot find module \'/app/controllers/boguses\''
+      ])
+    })
+
+    it('formats the routes as TSV records, replacing tabs and line breaks with spaces', () => {
+      const describedRoute = R.assoc('description', 'Lists\tthe\nusers', usersIndex)
+
+      expect(R.split('\n', formatRouter('tsv', { routes: [[describedRoute, {}]] }))).toEqual([
+        'Status\tPath Helper\tVerb\tURI Pattern\tController Module\tHandler\tMiddleware\tTags\tDeprecated\tDescription\tError',
+        'valid\tusers\tGET\t/users\t/app/controllers/users\tindex\tauthenticate\tusers\t\tLists the users\t'
+      ])
+    })
+  })
+
+  describe('filterRouter', () => {
+    const filteredRoutes = (filters) => {
+      const filtered = filterRouter(filters, router)
+      return R.map(R.pipe(R.head, R.props(['httpMethod', 'path'])), R.concat(filtered.routes, R.defaultTo([], filtered.invalidRoutes)))
+    }
+
+    runTestCases(
+      ({ args, expected }) => expect(filteredRoutes(args)).toEqual(expected),
+      [
+        {
+          description: 'keeps the routes of the given comma separated HTTP methods, in any case',
+          args: {verb: 'post,all'},
+          expected: [['POST', '/users'], ['ALL', '/admin'], ['POST', '/bogus']]
+        },
+        {
+          description: 'keeps the routes whose path contains the text',
+          args: {path: 'users'},
+          expected: [['GET', '/users'], ['GET', '/users/:id'], ['POST', '/users']]
+        },
+        {
+          description: 'keeps the routes whose path matches the wildcards',
+          args: {path: '/users/*'},
+          expected: [['GET', '/users/:id']]
+        },
+        {
+          description: 'keeps the routes whose printed controller module contains the text',
+          args: {controller: 'redirect'},
+          expected: [['GET', '/people']]
+        },
+        {
+          description: 'keeps the routes whose path helper matches the wildcards',
+          args: {alias: 'user*'},
+          expected: [['GET', '/users'], ['GET', '/users/:id']]
+        },
+        {
+          description: 'keeps the routes with any column matching the case insensitive regular expression, including errors',
+          args: {grep: 'DEPRECATED|cannot find'},
+          expected: [['GET', '/users/:id'], ['POST', '/bogus']]
+        },
+        {
+          description: 'combines the filters',
+          args: {verb: 'GET', path: '/users', grep: 'authenticate'},
+          expected: [['GET', '/users']]
+        },
+        {
+          description: 'keeps every route without filters',
+          args: {},
+          expected: [['GET', '/users'], ['GET', '/users/:id'], ['POST', '/users'], ['ALL', '/admin'], ['GET', '/people'], ['POST', '/bogus']]
+        }
+      ]
+    )
+
+    it('keeps the path helpers and conflicts of the remaining routes', () => {
+      expect(R.pick(['paths', 'conflicts'], filterRouter({alias: 'users'}, router))).toEqual({
+        paths: R.pick(['users'], router.paths),
+        conflicts: []
+      })
+      expect(filterRouter({path: '/users/:id'}, router).conflicts).toEqual([conflict])
+    })
+  })
+
+  describe('routeFilter', () => {
+    it('ignores the properties which are not filters', () => {
+      expect(routeFilter({verb: 'GET', _: ['routes.js'], format: 'json'})([usersShow, {}])).toBe(true)
+    })
+
+    it('throws when the grep filter is not a valid regular expression', () => {
+      expect(() => routeFilter({grep: '('})).toThrowError(/^Invalid --grep pattern '\(': /)
+    })
+  })
+
+  describe('checkRouter', () => {
+    it('reports the invalid routes and conflicts with their count', () => {
+      const { report, problems } = checkRouter(router)
+
+      expect(problems).toEqual(2)
+      expect(R.map(R.trim, R.split('\n', report))).toEqual([
+        '[Invalid Routes]',
+        'Verb    URI Pattern    Controller Module           Handler    Error',
+        'POST    /bogus         /app/controllers/boguses    create     Cannot find module \'/app/controllers/boguses\'',
+        '[Conflicts]',
+        'Conflict           Description',
+        'duplicate-alias    Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id',
+        'Found 1 invalid route and 1 conflict'
+      ])
+    })
+
+    it('reports the conflicts alone', () => {
+      const { report, problems } = checkRouter(R.merge(router, { invalidRoutes: [], conflicts: [conflict, conflict] }))
+
+      expect(problems).toEqual(2)
+      expect(R.map(R.trim, R.split('\n', report))).toEqual([
+        '[Conflicts]',
+        'Conflict           Description',
+        'duplicate-alias    Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id',
+        'duplicate-alias    Path helper user is declared by 2 routes: GET /users/:id, GET /users/:id',
+        'Found 0 invalid routes and 2 conflicts'
+      ])
+    })
+
+    it('reports no problems for a router without invalid routes or conflicts', () => {
+      expect(checkRouter({ routes: router.routes, conflicts: [] })).toEqual({
+        report: 'Checked 5 routes, no invalid routes or conflicts found',
+        problems: 0
+      })
+    })
+  })
+})
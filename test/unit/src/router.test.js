@@ -3,9 +3,16 @@
 
 import R from 'ramda'
 import express from 'express'
-import { buildPathHelpers, loadRoutes, register, registerExpressRoute, resolve,
-  routeModuleTupleToPathBuilder, safeRequireRouteModule, verifyHandlerExported } from '~/src/router'
+import KoaRouter from 'koa-router'
+import { mount } from '~/src/dsl'
+import { redirect } from '~/src/dsl/http'
+import { resources } from '~/src/dsl/resources'
+import { buildPathHelpers, buildUrl, buildUrlHelpers, lazyRequireRouteModule, lazyRouteHandler, loadRoutes, mountRouteModule,
+  recognize, redirectRouteModule, register, registerExpressRoute, registerKoa, registerKoaRoute, resolve, routeModuleTupleToPathBuilder,
+  safeRequireRouteModule, verifyHandlerExported } from '~/src/router'
 import { runTestCases } from '~/test/helpers/define-cases'
+import { makeResponse } from '~/test/helpers/make-response'
+import { PATH_BUILDER_CASES, PATH_BUILDER_ERROR_CASES } from '~/test/helpers/path-builder-cases'
 
 describe('~/app/lib/router', () => {
   describe('buildPathHelpers', () => {
@@ -21,7 +28,82 @@ describe('~/app/lib/router', () => {
 
       const actual = buildPathHelpers(tuples, pathBuilder)
       expect(actual).toMatchObject({ two: boundPathBuilder })
-      expect(pathBuilder).toHaveBeenCalledWith(tuples[1][0])
+      expect(pathBuilder).toHaveBeenCalledWith(tuples[1])
+    })
+
+    it('builds path helpers for nested resources which accept both the parent and child params', () => {
+      const tuples = R.pipe(
+        R.flatten,
+        R.map((route) => [route, {}])
+      )(resources('users', {only: []}, [resources('todos', {only: ['index', 'show']})]))
+
+      const actual = buildPathHelpers(tuples)
+      expect(actual['user-todos']({ user_id: '1' })).toEqual('users/1/todos')
+      expect(actual['user-todo']({ user_id: '1', id: '2' })).toEqual('users/1/todos/2')
+    })
+  })
+
+  describe('buildUrl', () => {
+    runTestCases(
+      ({ args, expected }) => expect(buildUrl(...args)).toEqual(expected),
+      [
+        {
+          description: 'defaults to the http protocol',
+          args: [{ host: 'example.com' }, '/users'],
+          expected: 'http://example.com/users'
+        },
+        {
+          description: 'prepends a slash to relative paths',
+          args: [{ host: 'example.com', protocol: 'https' }, 'users'],
+          expected: 'https://example.com/users'
+        },
+        {
+          description: 'accepts protocols with a trailing colon and slashes',
+          args: [{ host: 'example.com', protocol: 'https://' }, '/users'],
+          expected: 'https://example.com/users'
+        },
+        {
+          description: 'includes non-default ports',
+          args: [{ host: 'localhost', port: 3000 }, '/users'],
+          expected: 'http://localhost:3000/users'
+        },
+        {
+          description: 'omits the default port of the protocol',
+          args: [{ host: 'example.com', protocol: 'https', port: '443' }, '/users'],
+          expected: 'https://example.com/users'
+        },
+        {
+          description: 'includes ports of protocols without known defaults',
+          args: [{ host: 'example.com', protocol: 'ws', port: 80 }, '/users'],
+          expected: 'ws://example.com:80/users'
+        }
+      ]
+    )
+
+    it('throws when the host is missing', () => {
+      expect(() => buildUrl({ protocol: 'https' }, '/users')).toThrowError('Missing the host to build the URL for path /users')
+    })
+  })
+
+  describe('buildUrlHelpers', () => {
+    const paths = buildPathHelpers([
+      [{handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users', as: 'user'}, {}]
+    ])
+
+    it('builds URL helpers for every path helper using the default URL options', () => {
+      const urls = buildUrlHelpers(paths, { host: 'example.com', protocol: 'https' })
+      expect(R.keys(urls)).toEqual(['user'])
+      expect(urls.user({ id: '123', page: 2 })).toEqual('https://example.com/users/123?page=2')
+    })
+
+    it('overrides the default URL options per call', () => {
+      const urls = buildUrlHelpers(paths, { host: 'example.com', protocol: 'https' })
+      expect(urls.user({ id: '123' }, { host: 'api.example.com', port: 8443 })).toEqual('https://api.example.com:8443/users/123')
+    })
+
+    it('defaults to empty URL options', () => {
+      const urls = buildUrlHelpers(paths)
+      expect(urls.user({ id: '123' }, { host: 'localhost', port: 3000 })).toEqual('http://localhost:3000/users/123')
     })
   })
 
@@ -53,6 +135,19 @@ describe('~/app/lib/router', () => {
       expect(safeRequire).toHaveBeenCalledWith(routeTwo)
     })
 
+    it('returns the route and an error for constraints which can\'t be registered with Express and koa-router', () => {
+      const route = {handler: 'show', httpMethod: 'GET', path: '/posts/:slug', require: '~/app/controllers/posts', constraints: {slug: /^a$|^b$/}}
+      const safeRequire = jest.fn()
+
+      expect(loadRoutes([route], safeRequire)).toEqual({
+        routes: [],
+        invalidRoutes: [[route, new Error(
+          'Unsupported constraint /^a$|^b$/ for :slug, Express and koa-router param patterns can\'t have anchors other than a leading ^ and a trailing $'
+        )]]
+      })
+      expect(safeRequire).not.toHaveBeenCalled()
+    })
+
     it('handles nested route structures (coping with return values from `scope`)', () => {
       const routeOne = {handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one'}
       const routeTwo = {handler: 'two', httpMethod: 'GET', path: 'api/v1/two', require: '~/app/controllers/two'}
@@ -71,6 +166,86 @@ describe('~/app/lib/router', () => {
       expect(safeRequire).toHaveBeenCalledWith(routeOne)
       expect(safeRequire).toHaveBeenCalledWith(routeTwo)
     })
+
+    it('builds the modules of the redirect routes without requiring them', () => {
+      const route = redirect('/posts/:id', '/articles/:id')
+      const safeRequire = jest.fn()
+
+      const actual = loadRoutes([route], safeRequire)
+      expect(actual.routes).toHaveLength(1)
+      expect(R.keys(actual.routes[0][1])).toEqual(['redirect'])
+      expect(safeRequire).not.toHaveBeenCalled()
+    })
+
+    it('loads the mounted applications without requiring them', () => {
+      const adminApp = () => {}
+      const safeRequire = jest.fn()
+
+      const actual = loadRoutes([mount('admin', adminApp)], safeRequire)
+      expect(actual.routes).toEqual([[mount('admin', adminApp), {mount: adminApp}]])
+      expect(safeRequire).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('recognize', () => {
+    const usersController = { show: () => {}, update: () => {} }
+    const showRoute = {handler: 'show', httpMethod: 'GET', path: '/api/v1/users/:id', require: '~/app/controllers/users', as: 'api-v1-user'}
+    const updateRoute = {handler: 'update', httpMethod: 'PATCH', path: '/api/v1/users/:id', require: '~/app/controllers/users'}
+    const router = {
+      routes: [
+        [{handler: 'index', httpMethod: 'GET', path: '/api/v1/users', require: '~/app/controllers/users'}, {}],
+        [showRoute, usersController],
+        [updateRoute, usersController]
+      ]
+    }
+
+    runTestCases(
+      ({ args, expected }) => expect(recognize(router, ...args)).toEqual(expected),
+      [
+        {
+          description: 'returns the matching route, params, controller module and handler',
+          args: ['GET', '/api/v1/users/123'],
+          expected: { route: showRoute, params: { id: '123' }, require: '~/app/controllers/users', handler: 'show', routeModule: usersController }
+        },
+        {
+          description: 'matches by HTTP method',
+          args: ['patch', '/api/v1/users/123'],
+          expected: { route: updateRoute, params: { id: '123' }, require: '~/app/controllers/users', handler: 'update', routeModule: usersController }
+        },
+        {
+          description: 'ignores the query string, fragment and host',
+          args: ['GET', 'https://example.com/api/v1/users/123?expand=todos#top'],
+          expected: { route: showRoute, params: { id: '123' }, require: '~/app/controllers/users', handler: 'show', routeModule: usersController }
+        },
+        {
+          description: 'returns null when no route path matches',
+          args: ['GET', '/api/v1/todos/123'],
+          expected: null
+        },
+        {
+          description: 'returns null when no route method matches',
+          args: ['DELETE', '/api/v1/users/123'],
+          expected: null
+        }
+      ]
+    )
+
+    it('recognizes the URLs under the mount routes', () => {
+      const adminRoute = mount('/admin/:section', () => {})
+      const mountedRouter = { routes: [mountRouteModule(adminRoute)] }
+
+      expect(R.pick(['route', 'params'], recognize(mountedRouter, 'POST', '/admin/users/1'))).toEqual({ route: adminRoute, params: { section: 'users' } })
+      expect(recognize(mountedRouter, 'GET', '/admin')).toBeNull()
+    })
+
+    it('skips the routes whose constraints the params do not satisfy', () => {
+      const numericRoute = R.assoc('constraints', { id: /\d+/ }, showRoute)
+      const slugRoute = {handler: 'showBySlug', httpMethod: 'GET', path: '/api/v1/users/:slug', require: '~/app/controllers/users'}
+      const constrainedRouter = { routes: [[numericRoute, usersController], [slugRoute, usersController]] }
+
+      expect(R.prop('route', recognize(constrainedRouter, 'GET', '/api/v1/users/123'))).toEqual(numericRoute)
+      expect(R.prop('route', recognize(constrainedRouter, 'GET', '/api/v1/users/sally'))).toEqual(slugRoute)
+    })
   })
 
   describe('register', () => {
@@ -98,6 +273,36 @@ describe('~/app/lib/router', () => {
       expect(mapper).toHaveBeenCalledWith(app)
       expect(actual).toEqual(expected)
     })
+
+    describe('with the hotReload option', () => {
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users'}
+      const router = {routes: [[route, {show: (req, res) => res.end(req.params.id)}]], invalidRoutes: []}
+      const hotReload = {
+        routesFile: '/app/routes.js',
+        watch: () => ({ close: () => {} }),
+        resolveModule: (path: string) => `${path}.js`
+      }
+
+      it('registers the routes behind a single middleware, given the options in place of the registrar', () => {
+        const app = { use: jest.fn() }
+        const res = makeResponse()
+
+        expect(register(app, router, { hotReload })).toBe(router)
+        expect(app.use).toHaveBeenCalledTimes(1)
+        app.use.mock.calls[0][0]({ method: 'GET', url: '/users/12' }, res, jest.fn())
+        expect(res.end).toHaveBeenCalledWith('12')
+      })
+
+      it('registers the routes with the given registrar on an express router', () => {
+        const app = { use: jest.fn() }
+        const registrar = jest.fn(() => R.identity)
+
+        register(app, router, registrar, { hotReload })
+        expect(registrar).toHaveBeenCalledTimes(1)
+        expect(registrar.mock.calls[0][0]).not.toBe(app)
+        expect(registrar.mock.calls[0][0]).toEqual(expect.any(Function))
+      })
+    })
   })
 
   describe('registerExpressRoute', () => {
@@ -142,6 +347,219 @@ describe('~/app/lib/router', () => {
         ]
       ]
     )
+
+    it('installs the route middleware ahead of the handler', () => {
+      const app = { get: jest.fn() }
+      const authenticate = () => {}
+      const logRequest = () => {}
+      const route = {handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home', middleware: [authenticate, logRequest]}
+      const controller = {root: () => {}}
+
+      registerExpressRoute(app, [route, controller])
+      expect(app.get).toHaveBeenCalledWith(route.path, authenticate, logRequest, controller.root)
+    })
+
+    it('registers the routes with optional groups under each of their paths', () => {
+      const app = { get: jest.fn() }
+      const route = {handler: 'show', httpMethod: 'GET', path: 'files/*path(.:format)', require: '~/app/controllers/files'}
+      const controller = {show: () => {}}
+
+      registerExpressRoute(app, [route, controller])
+      expect(app.get).toHaveBeenCalledWith(['files/:path(.+).:format', 'files/:path(.+)'], controller.show)
+    })
+
+    it('registers the constrained params with their patterns', () => {
+      const app = { get: jest.fn() }
+      const route = {handler: 'show', httpMethod: 'GET', path: 'api/v1/users/:id', require: '~/app/controllers/users', constraints: {id: /\d+/}}
+      const controller = {show: () => {}}
+
+      registerExpressRoute(app, [route, controller])
+      expect(app.get).toHaveBeenCalledWith('api/v1/users/:id(\\d+)', controller.show)
+    })
+
+    it('installs the mounted applications with use', () => {
+      const app = { use: jest.fn() }
+      const authenticate = () => {}
+      const adminApp = () => {}
+
+      registerExpressRoute(app, mountRouteModule(mount('admin', adminApp, {as: 'admin', middleware: [authenticate]})))
+      expect(app.use).toHaveBeenCalledWith('admin', authenticate, adminApp)
+    })
+
+    it('exposes the route metadata on the request ahead of the middleware', () => {
+      const app = { get: jest.fn() }
+      const route = {handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home', tags: ['home'], meta: {cache: 60}}
+      const controller = {root: () => {}}
+
+      registerExpressRoute(app, [route, controller])
+      const [path, assignMetadata, handler] = app.get.mock.calls[0]
+      expect([path, handler]).toEqual([route.path, controller.root])
+
+      const req = {}
+      const next = jest.fn()
+      assignMetadata(req, {}, next)
+      expect(req).toEqual({ routeMetadata: {tags: ['home'], meta: {cache: 60}} })
+      expect(next).toHaveBeenCalled()
+    })
+  })
+
+  describe('registerKoa', () => {
+    it('applies the koa route registrar over each route and returns the modified Router', () => {
+      const koaRouter = {}
+      const router = {
+        routes: [
+          [{handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/home'}, {}]
+        ]
+      }
+      const registrar = jest.fn()
+      registrar.mockReturnValue(R.identity)
+
+      const actual = registerKoa(koaRouter, router, registrar)
+      expect(registrar).toHaveBeenCalledWith(koaRouter)
+      expect(actual).toEqual(router)
+    })
+  })
+
+  describe('registerKoaRoute', () => {
+    const makeKoaRouter = () => ({
+      delete: jest.fn(),
+      get: jest.fn(),
+      head: jest.fn(),
+      patch: jest.fn(),
+      post: jest.fn(),
+      put: jest.fn()
+    })
+
+    runTestCases(
+      ([route: Route, controller: Object], _index: number): void => {
+        const koaRouter = makeKoaRouter()
+        registerKoaRoute(koaRouter, [route, controller])
+        expect(koaRouter[R.toLower(route.httpMethod)]).toHaveBeenCalledWith(route.path, controller[route.handler])
+      },
+      [
+        [
+          {handler: 'root', httpMethod: 'GET', path: '/api/v1', require: '~/app/controllers/home'},
+          {root: 'root route'}
+        ],
+        [
+          {handler: 'update', httpMethod: 'PATCH', path: '/api/v1/users/:id', require: '~/app/controllers/users'},
+          {update: 'update (patch) route'}
+        ],
+        [
+          {handler: 'destroyEverything', httpMethod: 'DELETE', path: '/api/v1/admin/destroy-site', require: '~/app/controllers/home'},
+          {destroyEverything: 'destroy route'}
+        ]
+      ]
+    )
+
+    it('registers aliased routes as named routes', () => {
+      const koaRouter = makeKoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users', as: 'user'}
+      const controller = {show: () => {}}
+
+      registerKoaRoute(koaRouter, [route, controller])
+      expect(koaRouter.get).toHaveBeenCalledWith('user', route.path, controller.show)
+    })
+
+    it('registers the constrained params with their patterns', () => {
+      const koaRouter = makeKoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/posts/:slug', require: '~/app/controllers/posts', constraints: {slug: /[a-z0-9-]+/}}
+      const controller = {show: () => {}}
+
+      registerKoaRoute(koaRouter, [route, controller])
+      expect(koaRouter.get).toHaveBeenCalledWith('/posts/:slug([a-z0-9-]+)', controller.show)
+    })
+
+    it('registers each expanded path of the routes with optional groups, naming only the full path', () => {
+      const koaRouter = makeKoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/files/*path(.:format)', require: '~/app/controllers/files', as: 'file'}
+      const controller = {show: () => {}}
+
+      registerKoaRoute(koaRouter, [route, controller])
+      expect(koaRouter.get.mock.calls).toEqual([
+        ['file', '/files/:path(.+).:format', controller.show],
+        ['/files/:path(.+)', controller.show]
+      ])
+    })
+
+    it('registers the routes with optional groups with a koa-router instance', () => {
+      const koaRouter = new KoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/files/*path(.:format)', require: '~/app/controllers/files', as: 'file'}
+      const controller = {show: () => {}}
+
+      registerKoaRoute(koaRouter, [route, controller])
+      expect(R.map(R.props(['name', 'path']), koaRouter.stack)).toEqual([
+        ['file', '/files/:path(.+).:format'],
+        [null, '/files/:path(.+)']
+      ])
+      expect(koaRouter.url('file', {path: 'docs', format: 'pdf'})).toEqual('/files/docs.pdf')
+      expect(koaRouter.match('/files/docs/report', 'GET').route).toBe(true)
+      expect(koaRouter.match('/files/docs/report.pdf', 'GET').pathAndMethod[0].name).toEqual('file')
+    })
+
+    it('composes the route middleware and exported handler arrays ahead of the handler', () => {
+      const koaRouter = makeKoaRouter()
+      const authenticate = () => {}
+      const loadUser = () => {}
+      const show = () => {}
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users', middleware: [authenticate]}
+
+      registerKoaRoute(koaRouter, [route, {default: {show: [loadUser, show]}}])
+      expect(koaRouter.get).toHaveBeenCalledWith(route.path, authenticate, loadUser, show)
+    })
+
+    it('exposes the route metadata on the context state ahead of the middleware', () => {
+      const koaRouter = makeKoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users', deprecated: true}
+      const controller = {show: () => {}}
+
+      registerKoaRoute(koaRouter, [route, controller])
+      const [path, assignMetadata, handler] = koaRouter.get.mock.calls[0]
+      expect([path, handler]).toEqual([route.path, controller.show])
+
+      const ctx = { state: {} }
+      const next = jest.fn()
+      next.mockReturnValue('next')
+      expect(assignMetadata(ctx, next)).toEqual('next')
+      expect(ctx.state).toEqual({ routeMetadata: {deprecated: true} })
+    })
+
+    it('registers a Koa handler for the redirect routes', () => {
+      const koaRouter = makeKoaRouter()
+      const route = redirect('/posts/:id', '/articles/:id', {status: 302, keepQuery: true})
+
+      registerKoaRoute(koaRouter, redirectRouteModule(route))
+      const [path, handler] = koaRouter.get.mock.calls[0]
+      expect(path).toEqual('/posts/:id')
+
+      const ctx = { params: {id: '12'}, search: '?ref=feed', set: jest.fn() }
+      handler(ctx)
+      expect(ctx.set).toHaveBeenCalledWith('Location', '/articles/12?ref=feed')
+      expect(ctx).toHaveProperty('status', 302)
+    })
+
+    it('installs the mounted middleware with use, without naming it', () => {
+      const koaRouter = { use: jest.fn() }
+      const billingRoutes = () => {}
+
+      registerKoaRoute(koaRouter, mountRouteModule(mount('billing', billingRoutes, {as: 'billing'})))
+      expect(koaRouter.use).toHaveBeenCalledWith('billing', billingRoutes)
+    })
+
+    it('does not register routes whose module is missing the handler', () => {
+      const koaRouter = makeKoaRouter()
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users'}
+      const consoleWarn = console.warn
+      ;(console: any).warn = jest.fn()
+
+      const actual = registerKoaRoute(koaRouter, [route, {}])
+      const warn = console.warn
+      ;(console: any).warn = consoleWarn
+
+      expect(actual).toEqual([route, {}])
+      expect(koaRouter.get).not.toHaveBeenCalled()
+      expect(warn).toHaveBeenCalled()
+    })
   })
 
   describe('resolve', () => {
@@ -151,18 +569,88 @@ describe('~/app/lib/router', () => {
         {handler: 'health', httpMethod: 'HEAD', path: 'api/v1/health', require: '~/app/controllers/home'}
       ]
 
+      const loadedRoutes = R.map((route) => [route, {}], routes)
+
       const routeLoader = jest.fn()
-      routeLoader.mockReturnValue({ routes: routes })
+      routeLoader.mockReturnValue({ routes: loadedRoutes })
 
       const cachedPathsBuilder = jest.fn()
       cachedPathsBuilder.mockReturnValue({})
 
-      const expected = { routes, paths: {} }
+      const expected = { routes: loadedRoutes, paths: {}, urls: {}, conflicts: [] }
       const actual = resolve(routes, routeLoader, cachedPathsBuilder)
       expect(routeLoader).toHaveBeenCalledWith(routes)
-      expect(cachedPathsBuilder).toHaveBeenCalledWith(routes)
+      expect(cachedPathsBuilder).toHaveBeenCalledWith(loadedRoutes)
       expect(actual).toEqual(expected)
     })
+
+    it('builds the URL helpers from the path helpers and the default URL options', () => {
+      const routes = [{handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home'}]
+      const paths = { root: () => '/api/v1' }
+      const urls = { root: () => 'https://example.com/api/v1' }
+      const urlOptions = { host: 'example.com', protocol: 'https' }
+
+      const urlHelpersBuilder = jest.fn()
+      urlHelpersBuilder.mockReturnValue(urls)
+
+      const actual = resolve(routes, () => ({ routes }), () => paths, urlHelpersBuilder, () => [], { urlOptions })
+      expect(urlHelpersBuilder).toHaveBeenCalledWith(paths, urlOptions)
+      expect(actual).toEqual({ routes, paths, urls, conflicts: [] })
+    })
+
+    it('accepts the resolve options in place of the route loader', () => {
+      const route = {handler: 'identity', httpMethod: 'GET', path: '/users/:id', require: 'ramda', as: 'user'}
+      const actual = resolve([route], { urlOptions: { host: 'example.com' } })
+
+      expect(actual.urls && actual.urls.user({ id: 1 })).toEqual('http://example.com/users/1')
+    })
+
+    it('reports the conflicts between the valid routes', () => {
+      const route = {handler: 'show', httpMethod: 'GET', path: '/users/:id', require: '~/app/controllers/users'}
+      const routeModule = { show: () => {} }
+      const actual = resolve([route, route], R.always({ routes: [[route, routeModule], [route, routeModule]] }))
+
+      expect(actual.conflicts).toEqual([
+        { type: 'duplicate-route', message: 'Route GET /users/:id is declared 2 times', routes: [route, route] }
+      ])
+    })
+
+    it('resolves the collection routes of resources ahead of their default member routes', () => {
+      const usersController = { index: () => {}, show: () => {}, search: () => {} }
+      const routes = resources('users', {only: ['index', 'show'], collection: [{httpMethod: 'GET', name: 'search'}]})
+      const actual = resolve(routes, (routesToLoad) => loadRoutes(routesToLoad, (route) => [route, usersController]))
+
+      expect(actual.conflicts).toEqual([])
+      expect(R.prop('handler', recognize(actual, 'GET', '/users/search'))).toEqual('search')
+      expect(R.prop('params', recognize(actual, 'GET', '/users/123'))).toEqual({ id: '123' })
+    })
+
+    describe('lazy mode', () => {
+      const routes = [{handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home'}]
+      const lazyEnv = process.env.FLAUTA_LAZY_CONTROLLERS
+
+      afterEach(() => {
+        process.env.FLAUTA_LAZY_CONTROLLERS = lazyEnv
+      })
+
+      it('loads the routes with the lazy module requirer', () => {
+        const routeLoader = jest.fn()
+        routeLoader.mockReturnValue({ routes: [] })
+
+        resolve(routes, routeLoader, undefined, undefined, undefined, { lazy: true })
+        expect(routeLoader).toHaveBeenCalledWith(routes, lazyRequireRouteModule)
+      })
+
+      it('defaults to the FLAUTA_LAZY_CONTROLLERS environment variable', () => {
+        const routeLoader = jest.fn()
+        routeLoader.mockReturnValue({ routes: [] })
+        process.env.FLAUTA_LAZY_CONTROLLERS = 'true'
+
+        resolve(routes, routeLoader)
+        resolve(routes, routeLoader, undefined, undefined, undefined, { lazy: false })
+        expect(routeLoader.mock.calls).toEqual([[routes, lazyRequireRouteModule], [routes]])
+      })
+    })
   })
 
   describe('routeModuleTupleToPathBuilder', () => {
@@ -173,101 +661,19 @@ describe('~/app/lib/router', () => {
       expect(actual).toEqual(expected)
     })
 
+    runTestCases(
+      ({ args: [route, properties], expected }) =>
+        expect(() => routeModuleTupleToPathBuilder([route, {}])(properties)).toThrowError(expected),
+      PATH_BUILDER_ERROR_CASES
+    )
+
     runTestCases(
       ({ args, expected }) => {
         const [route, properties] = args
         const actual = routeModuleTupleToPathBuilder([route, {}])(properties)
         expect(actual).toEqual(expected)
       },
-      [
-        {
-          description: 'not given any properties it returns the route path',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' }
-          ],
-          expected: 'api/v1/one'
-        },
-        {
-          description: 'given null properties it returns the route path',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
-            null
-          ],
-          expected: 'api/v1/one'
-        },
-        {
-          description: 'given undefined properties it returns the route path',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
-            undefined
-          ],
-          expected: 'api/v1/one'
-        },
-        {
-          description: 'given empty properties it returns the route path',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one', require: '~/app/controllers/one' },
-            {}
-          ],
-          expected: 'api/v1/one'
-        },
-        {
-          description: 'ignores mis-matched properties',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
-            { id: '123', some: 'prop' }
-          ],
-          expected: 'api/v1/one/123'
-        },
-        {
-          description: 'given matching properties it returns the path with the properties replaced',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
-            { id: '123' }
-          ],
-          expected: 'api/v1/one/123'
-        },
-        {
-          description: 'given route path with properties when properties are not given',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:id', require: '~/app/controllers/one' },
-            { other: 'prop' }
-          ],
-          expected: 'api/v1/one/:id'
-        },
-        {
-          description: 'doesn\'t replace partial properties',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:supercalifragilistic', require: '~/app/controllers/one' },
-            { super: 'nope', supercalifragilistic: 'yep' }
-          ],
-          expected: 'api/v1/one/yep'
-        },
-        {
-          description: 'doesn\'t replace partial properties (reversed)',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:super', require: '~/app/controllers/one' },
-            { super: 'yep', supercalifragilistic: 'nope' }
-          ],
-          expected: 'api/v1/one/yep'
-        },
-        {
-          description: 'replaces multiple properties',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: 'api/v1/one/:parentId/things/:id', require: '~/app/controllers/one' },
-            { id: '456', parentId: '123' }
-          ],
-          expected: 'api/v1/one/123/things/456'
-        },
-        {
-          description: 'replaces properties at beginning of path',
-          args: [
-            { handler: 'one', httpMethod: 'GET', path: ':atBeginning/api/v1/one/:atEnd', require: '~/app/controllers/one' },
-            { atBeginning: 'sunrise', atEnd: 'sunset' }
-          ],
-          expected: 'sunrise/api/v1/one/sunset'
-        }
-      ]
+      PATH_BUILDER_CASES
     )
   })
 
@@ -293,6 +699,165 @@ describe('~/app/lib/router', () => {
     })
   })
 
+  describe('mountRouteModule', () => {
+    it('exports the mounted application as the route handler', () => {
+      const adminApp = () => {}
+      const route = mount('admin', adminApp)
+      expect(mountRouteModule(route)).toEqual([route, {mount: adminApp}])
+    })
+
+    it('returns an Error for routes without a mounted application', () => {
+      const route = {handler: 'mount', httpMethod: 'ALL', path: '/admin', require: ''}
+      expect(mountRouteModule(route)).toEqual([route, new Error('Route missing the mounted application')])
+    })
+  })
+
+  describe('redirectRouteModule', () => {
+    const respond = (route: any, req: Object): Object => {
+      const routeModule: Object = R.last(redirectRouteModule(route))
+      const res = makeResponse()
+      routeModule.redirect(req, res)
+      return res
+    }
+
+    it('redirects to the target path, replacing the params', () => {
+      const res = respond(redirect('/posts/:id/:slug', '/articles/:id'), {url: '/posts/1/hello?ref=feed', params: {id: '1', slug: 'hello'}})
+      expect(res.statusCode).toEqual(301)
+      expect(res.setHeader).toHaveBeenCalledWith('Location', '/articles/1')
+      expect(res.end).toHaveBeenCalled()
+    })
+
+    it('appends the request query string to the target when keeping the query', () => {
+      const res = respond(redirect('/search', '/find?scope=all', {status: 302, keepQuery: true}), {url: '/search?q=flute'})
+      expect(res.statusCode).toEqual(302)
+      expect(res.setHeader).toHaveBeenCalledWith('Location', '/find?scope=all&q=flute')
+    })
+
+    it('redirects to the target without a query string when the request has none', () => {
+      const res = respond(redirect('/search', '/find', {keepQuery: true}), {url: '/search'})
+      expect(res.setHeader).toHaveBeenCalledWith('Location', '/find')
+    })
+
+    it('redirects to the target returned by a function of the params and request', () => {
+      const to = jest.fn()
+      to.mockReturnValue('https://example.com/articles/1')
+      const req = {url: '/posts/1?ref=feed', params: {id: '1'}}
+      const res = respond(redirect('/posts/:id', to, {keepQuery: true}), req)
+
+      expect(to).toHaveBeenCalledWith({id: '1'}, req)
+      expect(res.setHeader).toHaveBeenCalledWith('Location', 'https://example.com/articles/1?ref=feed')
+    })
+
+    it('returns an Error for targets with params missing from the route path', () => {
+      const route = redirect('/posts(/:page)', '/articles/:id/:page(/:format)')
+      expect(redirectRouteModule(route)).toEqual([route, new Error('Redirect target /articles/:id/:page(/:format) has params missing from the route path: :id')])
+    })
+
+    it('reads the params from the path of absolute targets only, keeping their port', () => {
+      const route = redirect('/old/:id', 'http://example.com:8080/new/:id')
+      expect(R.last(redirectRouteModule(route))).not.toBeInstanceOf(Error)
+
+      const res = respond(route, {url: '/old/1', params: {id: '1'}})
+      expect(res.setHeader).toHaveBeenCalledWith('Location', 'http://example.com:8080/new/1')
+      expect(respond(redirect('/old', 'https://example.com:8443'), {url: '/old'}).setHeader).toHaveBeenCalledWith('Location', 'https://example.com:8443')
+    })
+
+    it('returns an Error for absolute targets with params missing from the route path', () => {
+      const route = redirect('/old', 'http://example.com:8080/new/:id')
+      expect(redirectRouteModule(route)).toEqual([route, new Error('Redirect target http://example.com:8080/new/:id has params missing from the route path: :id')])
+    })
+
+    it('returns an Error for routes without a redirect', () => {
+      const route = {handler: 'show', httpMethod: 'GET', path: '/posts/:id', require: '~/app/controllers/posts'}
+      expect(redirectRouteModule(route)).toEqual([route, new Error('Route missing the redirect target')])
+    })
+  })
+
+  describe('lazyRequireRouteModule', () => {
+    const route = {handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home'}
+
+    it('checks the module can be found without requiring it', () => {
+      const moduleResolver = jest.fn()
+      const moduleRequirer = jest.fn()
+
+      const [actualRoute, routeModule] = lazyRequireRouteModule(route, moduleResolver, moduleRequirer)
+      expect(actualRoute).toEqual(route)
+      expect(R.keys(routeModule)).toEqual(['root'])
+      expect(moduleResolver).toHaveBeenCalledWith(route.require)
+      expect(moduleRequirer).not.toHaveBeenCalled()
+    })
+
+    it('returns the resolution error for modules that can\'t be found', () => {
+      const moduleResolver = (path: string) => { throw new Error(`Cannot find module '${path}'`) }
+
+      const actual = lazyRequireRouteModule(route, moduleResolver)
+      expect(actual).toEqual([route, new Error(`Cannot find module '${route.require}'`)])
+    })
+
+    it('finds the existing modules with require.resolve by default', () => {
+      const existingRoute = R.assoc('require', __filename, route)
+      expect(lazyRequireRouteModule(existingRoute)[1]).not.toBeInstanceOf(Error)
+    })
+  })
+
+  describe('lazyRouteHandler', () => {
+    const route = {handler: 'show', httpMethod: 'GET', path: 'users/:id', require: '~/app/controllers/users'}
+
+    it('requires the module once, on the first invocation', () => {
+      const show = jest.fn()
+      show.mockReturnValue('shown')
+      const moduleRequirer = jest.fn()
+      moduleRequirer.mockReturnValue({ show })
+
+      const handler = lazyRouteHandler(route, moduleRequirer)
+      expect(moduleRequirer).not.toHaveBeenCalled()
+
+      const next = jest.fn()
+      expect(handler('req', 'res', next)).toEqual('shown')
+      handler('req', 'res', next)
+      expect(moduleRequirer).toHaveBeenCalledTimes(1)
+      expect(show.mock.calls[0].slice(0, 2)).toEqual(['req', 'res'])
+      expect(next).not.toHaveBeenCalled()
+    })
+
+    it('runs exported handler arrays in order, passing on to next', () => {
+      const calls = []
+      const loadUser = (req, res, next) => { calls.push('loadUser'); next() }
+      const show = (req, res, next) => { calls.push('show'); next('route') }
+      const next = jest.fn()
+
+      lazyRouteHandler(route, () => ({ default: { show: [loadUser, show] } }))('req', 'res', next)
+      expect(calls).toEqual(['loadUser', 'show'])
+      expect(next).toHaveBeenCalledWith('route')
+    })
+
+    it('stops the exported handler array at the first error', () => {
+      const error = new Error('Not found')
+      const show = jest.fn()
+      const next = jest.fn()
+
+      lazyRouteHandler(route, () => ({ show: [(req, res, next) => next(error), show] }))('req', 'res', next)
+      expect(show).not.toHaveBeenCalled()
+      expect(next).toHaveBeenCalledWith(error)
+    })
+
+    it('works with koa style handlers', () => {
+      const ctx = {}
+      const loadUser = (ctx, next) => { ctx.user = 'sally'; return next() }
+      const show = (ctx, next) => next()
+
+      const actual = lazyRouteHandler(route, () => ({ show: [loadUser, show] }))(ctx, () => 'done')
+      expect(actual).toEqual('done')
+      expect(ctx).toEqual({ user: 'sally' })
+    })
+
+    it('throws if the module does not export the handler', () => {
+      expect(() => lazyRouteHandler(route, () => ({}))('req', 'res', jest.fn()))
+        .toThrowError('Controller module ~/app/controllers/users missing the handler function show')
+      expect(() => lazyRouteHandler(route, () => null)('req', 'res', jest.fn())).toThrowError()
+    })
+  })
+
   describe('verifyHandlerExported', () => {
     it('returns the module if the handler function is publicly exported in that module', () => {
       const route = {handler: 'root', httpMethod: 'GET', path: 'api/v1', require: '~/app/controllers/home'}